@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+'use strict';
+// Usage: builder-dts <module> [--out <file>]
+// Writes TypeScript declarations for the builder classes exported by <module> to <file>, or to stdout.
+const fs = require('fs');
+const path = require('path');
+const generateDeclarations = require('../dts');
+
+const usage = 'Usage: builder-dts <module> [--out <file>]';
+
+function main(argv) {
+  let modulePath;
+  let outPath;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out' || argv[i] === '-o') {
+      outPath = argv[++i];
+      if (!outPath) {
+        console.error(usage);
+        return 1;
+      }
+    } else if (argv[i] === '--help' || argv[i] === '-h') {
+      console.log(usage);
+      return 0;
+    } else if (modulePath === undefined) {
+      modulePath = argv[i];
+    } else {
+      console.error(usage);
+      return 1;
+    }
+  }
+  if (!modulePath) {
+    console.error(usage);
+    return 1;
+  }
+
+  const resolved = path.resolve(modulePath);
+  const declarations = generateDeclarations(require(resolved), { source: path.basename(resolved) });
+  if (outPath) {
+    fs.writeFileSync(outPath, declarations);
+  } else {
+    process.stdout.write(declarations);
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
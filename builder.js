@@ -5,19 +5,45 @@
 function isArray(obj) {
   return Object.prototype.toString.call(obj) === '[object Array]';
 }
+// True for object literals and JSON data, as opposed to class instances
+function isPlainObject(obj) {
+  if (obj === null || typeof(obj) !== 'object') { return false }
+  const proto = Object.getPrototypeOf(obj);
+  return proto === Object.prototype || proto === null;
+}
+// True for the builder classes that Builder() creates, including staged and extended ones
+function isBuilderClass(val) {
+  return typeof(val) === 'function' && isArray(val.spec) && typeof(val.from) === 'function' &&
+    !!val.prototype && typeof(val.prototype.build) === 'function';
+}
 function captlize1stChar(str) {
   return str.slice(0,1).toUpperCase() + str.slice(1);
 }
-// Construct a new object with the given constructor and constructor arguments
+function isThenable(val) {
+  return val !== null && (typeof(val) === 'object' || typeof(val) === 'function') && typeof(val.then) === 'function';
+}
+// Mark a promise that will never be awaited as handled, so its failure is not reported as unhandled
+function ignoreRejection(val) {
+  Promise.resolve(val).then(null, () => {});
+}
+function isAsyncFunction(fn) {
+  return typeof(fn) === 'function' && fn.constructor.name === 'AsyncFunction';
+}
+// Render a value for use in an error message
+function describeValue(val) {
+  if (typeof(val) === 'function') { return `function ${val.name || '(anonymous)'}` }
+  if (typeof(val) === 'symbol' || typeof(val) === 'bigint') { return String(val) }
+  try {
+    const json = JSON.stringify(val);
+    if (json !== undefined) { return json }
+  } catch (e) {} // circular structures fall through to String()
+  return String(val);
+}
+// Construct a new object with the given constructor and constructor arguments.
+// Reflect.construct behaves exactly like `new`: it works for ES2015 classes, sets new.target,
+// creates built-in subclass instances (Error, Map, Array) properly, and honors constructors that return an object.
 function invokeCnstr(cnstr, args) {
-  function F() {
-      // constructor returns **this**
-      return cnstr.apply(this, args);
-  }
-  F.prototype = cnstr.prototype;
-  let f = new F();
-  f.constructor = cnstr;
-  return f;
+  return Reflect.construct(cnstr, args);
 }
 
 ///// Custom Errors /////
@@ -31,24 +57,879 @@ ParamSpecTypeError.prototype.name = 'ParamSpecTypeError';
 class MissingArgumentError extends TypeError {
   constructor(paramName) {
     super(`Required parameter ${paramName} is undefined or missing`);
+    this.paramName = paramName;
   }
 }
 MissingArgumentError.prototype.name = 'MissingArgumentError';
 class NullArgumentError extends TypeError {
   constructor(paramName) {
     super(`Non-nullable parameter ${paramName} is null`);
+    this.paramName = paramName;
   }
 }
 NullArgumentError.prototype.name = 'NullArgumentError';
+class InvalidArgumentError extends TypeError {
+  constructor(paramName, value, reason) {
+    super(`Parameter ${paramName} has invalid value ${describeValue(value)}${reason ? ': '+reason : ''}`);
+    this.paramName = paramName;
+    this.value = value;
+  }
+}
+InvalidArgumentError.prototype.name = 'InvalidArgumentError';
+class ConstraintViolationError extends TypeError {
+  constructor(rule, paramNames, message) {
+    const on = paramNames.length ? ` on ${paramNames.join(', ')}` : '';
+    super(`Constraint ${rule}${on} violated${message ? ': '+message : ''}`);
+    this.rule = rule;
+    this.paramNames = paramNames;
+  }
+}
+ConstraintViolationError.prototype.name = 'ConstraintViolationError';
+class UnknownParameterError extends TypeError {
+  constructor(key) {
+    super(`Unknown parameter ${key}`);
+    this.paramName = key;
+  }
+}
+UnknownParameterError.prototype.name = 'UnknownParameterError';
+class DuplicateItemError extends TypeError {
+  constructor(paramName, key) {
+    super(`Parameter ${paramName} already has an item ${describeValue(key)}`);
+    this.paramName = paramName;
+    this.key = key;
+  }
+}
+DuplicateItemError.prototype.name = 'DuplicateItemError';
+// Thrown by build() in collectErrors mode; errors holds the same report as validate()
+class BuilderValidationError extends TypeError {
+  constructor(errors) {
+    const details = errors.map(entry => `\n  ${entry.message}`).join('');
+    super(`Builder validation failed with ${errors.length} error${errors.length === 1 ? '' : 's'}:${details}`);
+    this.errors = errors;
+  }
+}
+BuilderValidationError.prototype.name = 'BuilderValidationError';
+// One entry of a validation report
+function reportEntry(err) {
+  return {
+    params: err.paramNames || [err.paramName],
+    kind: err.name,
+    message: err.message,
+    error: err
+  };
+}
+
+///// Collection Kinds /////
+// How each kind of collection param stores its items. Items are addressed by key: the index in a list,
+// the key in a map, the item itself in a set, or the item's keyBy property in a keyed list.
+// Keyed kinds hold at most one item per key, and apply the param's onDuplicate policy when adding.
+function itemKeyOf(param, item) {
+  return typeof(param.keyBy) === 'function' ? param.keyBy(item) : item[param.keyBy];
+}
+function isObject(val) {
+  return val !== null && typeof(val) === 'object';
+}
+const collectionKinds = {
+  list: {
+    label: 'List',
+    expects: 'an array',
+    isKeyed: false,
+    keepsInput: true, // a list or object map passed to a setter is stored as is, not copied
+    inputEntries: val => isArray(val) ? val.map((item, i) => [i, item]) : null,
+    itemKey: (list) => list.length,
+    empty: () => [],
+    copy: list => list.slice(),
+    entries: list => list.map((item, i) => [i, item]),
+    mapItems: (list, fn) => list.map(fn),
+    has: (list, item) => list.indexOf(item) !== -1,
+    put: (list, index, item) => { list[index] = item },
+    remove: (list, item) => {
+      for (let i = list.indexOf(item); i !== -1; i = list.indexOf(item)) { list.splice(i, 1) }
+    },
+    toJSON: list => list
+  },
+  keyedList: {
+    label: 'Keyed list',
+    expects: 'an array',
+    isKeyed: true,
+    inputEntries: (val, param) => isArray(val) ? val.map(item => [itemKeyOf(param, item), item]) : null,
+    itemKey: (list, key, item, param) => itemKeyOf(param, item),
+    empty: () => [],
+    copy: list => list.slice(),
+    entries: (list, param) => list.map(item => [itemKeyOf(param, item), item]),
+    mapItems: (list, fn, param) => list.map(item => fn(item, itemKeyOf(param, item))),
+    has: (list, key, param) => list.some(item => itemKeyOf(param, item) === key),
+    put: (list, key, item, param) => {
+      const index = list.findIndex(existing => itemKeyOf(param, existing) === key);
+      if (index === -1) { list.push(item) } else { list[index] = item }
+    },
+    remove: (list, key, param) => {
+      const index = list.findIndex(item => itemKeyOf(param, item) === key);
+      if (index !== -1) { list.splice(index, 1) }
+    },
+    toJSON: list => list
+  },
+  map: {
+    label: 'Map',
+    expects: 'an object',
+    isKeyed: true,
+    takesKey: true, // add<ItemName>(key, item)
+    keepsInput: true,
+    inputEntries: val => isObject(val) ? Object.keys(val).map(key => [key, val[key]]) : null,
+    itemKey: (map, key) => key,
+    empty: () => ({}),
+    copy: map => Object.assign({}, map),
+    entries: map => Object.keys(map).map(key => [key, map[key]]),
+    mapItems: (map, fn) => {
+      let mapped = {};
+      for (const key of Object.keys(map)) { mapped[key] = fn(map[key], key) }
+      return mapped;
+    },
+    has: (map, key) => Object.prototype.hasOwnProperty.call(map, key),
+    put: (map, key, item) => { map[key] = item },
+    remove: (map, key) => { delete map[key] },
+    toJSON: map => map
+  },
+  // A map backed by an ES Map, so keys need not be strings. Setters also accept plain objects and entry arrays.
+  esMap: {
+    label: 'Map',
+    expects: 'a Map, an object or an array of entries',
+    isKeyed: true,
+    takesKey: true,
+    inputEntries: val => val instanceof Map ? Array.from(val) :
+      isArray(val) ? (val.every(isArray) ? val : null) :
+      isObject(val) ? Object.keys(val).map(key => [key, val[key]]) : null,
+    itemKey: (map, key) => key,
+    empty: () => new Map(),
+    copy: map => new Map(map),
+    entries: map => Array.from(map),
+    mapItems: (map, fn) => new Map(Array.from(map, entry => [entry[0], fn(entry[1], entry[0])])),
+    has: (map, key) => map.has(key),
+    put: (map, key, item) => { map.set(key, item) },
+    remove: (map, key) => { map.delete(key) },
+    toJSON: map => Array.from(map)
+  },
+  // Setters accept a Set or an array
+  set: {
+    label: 'Set',
+    expects: 'a Set or an array',
+    isKeyed: true,
+    inputEntries: val => val instanceof Set || isArray(val) ? Array.from(val, item => [item, item]) : null,
+    itemKey: (set, key, item) => item,
+    empty: () => new Set(),
+    copy: set => new Set(set),
+    entries: set => Array.from(set, (item, i) => [i, item]),
+    mapItems: (set, fn) => new Set(Array.from(set, fn)),
+    has: (set, item) => set.has(item),
+    put: (set, item) => { set.add(item) },
+    remove: (set, item) => { set.delete(item) },
+    toJSON: set => Array.from(set)
+  }
+};
+// The collection kind of a param, or undefined for a scalar param
+function collectionKind(param) {
+  if (param.isList) { return param.keyBy === undefined ? collectionKinds.list : collectionKinds.keyedList }
+  if (param.isMap) { return param.mapType === 'Map' ? collectionKinds.esMap : collectionKinds.map }
+  if (param.isSet) { return collectionKinds.set }
+}
+// Add an item to a collection, following the param's onDuplicate policy: 'overwrite' (the default
+// for keyed lists and maps), 'ignore' (the default for sets), or 'throw' a DuplicateItemError
+function addItem(param, kind, collection, key, item) {
+  if (kind.isKeyed && kind.has(collection, key, param)) {
+    const policy = param.onDuplicate || (param.isSet ? 'ignore' : 'overwrite');
+    if (policy === 'throw') { throw new DuplicateItemError(param.name, key) }
+    if (policy === 'ignore') { return }
+  }
+  kind.put(collection, key, item, param);
+}
+// Add each of the input's items to a collection; returns false if the kind does not accept the input
+function addAllItems(param, kind, collection, input) {
+  const entries = kind.inputEntries(input, param);
+  if (!entries) { return false }
+  for (const entry of entries) {
+    addItem(param, kind, collection, kind.itemKey(collection, entry[0], entry[1], param), entry[1]);
+  }
+  return true;
+}
+// Convert a value given to a collection param's setter into the collection to store,
+// or return undefined if the kind does not accept it
+function toCollection(param, kind, val) {
+  if (kind.keepsInput) { return kind.inputEntries(val, param) ? val : undefined }
+  let collection = kind.empty();
+  return addAllItems(param, kind, collection, val) ? collection : undefined;
+}
+// Shallow-copy a collection parameter value, so that separately built objects never share it
+function copyCollection(param, val) {
+  const kind = collectionKind(param);
+  if (!kind || val === undefined || val === null || !kind.inputEntries(val, param)) { return val }
+  return kind.keepsInput ? kind.copy(val) : toCollection(param, kind, val);
+}
+
+///// Type Declarations /////
+// Type names accepted in a param spec's `type` or `itemType`. Apart from 'array', each is a `typeof` result.
+const typeNames = ['string', 'number', 'boolean', 'symbol', 'bigint', 'function', 'object', 'array'];
+function isValidType(type) {
+  return typeof(type) === 'function' || typeNames.indexOf(type) !== -1;
+}
+function matchesType(type, val) {
+  if (typeof(type) === 'function') { return val instanceof type }
+  if (type === 'array') { return isArray(val) }
+  if (type === 'object') { return typeof(val) === 'object' && !isArray(val) }
+  return typeof(val) === type;
+}
+function typeDescription(type) {
+  return typeof(type) === 'function' ? `instance of ${type.name || 'anonymous constructor'}` : type;
+}
+// Check a single value against a declared type and validator; returns an error, or null if it passes.
+// null and undefined are never type-checked: isRequired and isNullable govern those.
+// An async validator's result is only available to buildAsync(), which passes a pending array to collect
+// promises of each check's error (or null); without one, an async validator is a TypeError.
+function checkDeclaration(paramName, type, validator, val, pending) {
+  if (val === undefined || val === null) { return null }
+  if (type !== undefined && !matchesType(type, val)) {
+    return new InvalidArgumentError(paramName, val, `expected ${typeDescription(type)}`);
+  }
+  if (!validator) { return null }
+  const rejected = () => new InvalidArgumentError(paramName, val, `rejected by validator ${validator.name || '(anonymous)'}`);
+  const result = validator(val);
+  if (isThenable(result)) {
+    if (!pending) {
+      ignoreRejection(result);
+      throw new TypeError(`The validator for parameter ${paramName} is async; use buildAsync() instead of build().`);
+    }
+    pending.push(Promise.resolve(result).then(valid => valid ? null : rejected()));
+    return null;
+  }
+  return result ? null : rejected();
+}
+// Nested builders are not checked here: they are validated, then built, by the parent's build()
+function isNestedBuilder(param, val) {
+  return param.builder !== undefined && val instanceof param.builder;
+}
+// Error paths are prefixed by the path to the builder, for nested builders
+function checkItem(param, key, item, prefix, pending) {
+  if (isNestedBuilder(param, item)) { return null }
+  return checkDeclaration(`${prefix || ''}${param.name}.${key}`, param.itemType, param.itemValidator, item, pending);
+}
+// Check a whole parameter value, including each item of a collection
+function checkValue(param, val, prefix, pending) {
+  if (isNestedBuilder(param, val)) { return null }
+  let err = checkDeclaration((prefix || '') + param.name, param.type, param.validator, val, pending);
+  if (err || val === undefined || val === null) { return err }
+  const kind = collectionKind(param);
+  if (kind && kind.inputEntries(val, param)) {
+    for (const entry of kind.entries(val, param)) {
+      err = checkItem(param, entry[0], entry[1], prefix, pending);
+      if (err) { break }
+    }
+  }
+  return err;
+}
+
+///// Nested Builders /////
+// Key of the builder method that finds validation errors with param names prefixed by a path,
+// which a parent builder uses to validate its nested builders
+const findErrorsAt = Symbol('findErrorsAt');
+// Likewise for buildAsync(), returning a promise of the errors
+const findErrorsAsyncAt = Symbol('findErrorsAsyncAt');
+// Key of the builder method that gives the build cache key for its args, also for classes without a cache
+const cacheKeyAt = Symbol('cacheKeyAt');
+// Thrown by the view of the args passed to default functions when they read a missing required param,
+// which leaves their params unresolved
+const missingParamRead = Object.freeze({});
+// Key of the function that stores a nested builder opened by edit<Name>() or add<ItemName>()
+// in its parent, returning the parent; done() calls it
+const attachToParent = Symbol('attachToParent');
+// Apply fn(child, path) to each nested builder in a param value, returning the value with each child
+// replaced by the result. Collections are copied rather than modified.
+function mapChildren(param, val, path, fn) {
+  if (param.builder === undefined || val === undefined || val === null) { return val }
+  if (val instanceof param.builder) { return fn(val, path) }
+  const kind = collectionKind(param);
+  if (kind && kind.inputEntries(val, param)) {
+    return kind.mapItems(val, (item, key) => isNestedBuilder(param, item) ? fn(item, `${path}.${key}`) : item, param);
+  }
+  return val;
+}
+// A new, empty builder of a builder class, even if the class is staged, so that new returns its first stage
+function emptyBuilder(Bldr) {
+  let builder = Object.create(Bldr.prototype);
+  builder.args = Object.create(null);
+  return builder;
+}
+// With a configure callback, pass it the nested builder and return to the parent, using the builder
+// the callback returns if it is immutable; otherwise return the nested builder, whose done() returns to the parent.
+function openNested(param, child, configure, attach) {
+  if (configure) {
+    const configured = configure(child);
+    return attach(isNestedBuilder(param, configured) ? configured : child);
+  }
+  child[attachToParent] = attach;
+  return child;
+}
+
+///// Constraints /////
+// A constraint is an object { rule, params, check }, where check(args) returns a message if the
+// resolved args violate it. These helpers create the common ones; any object of that shape will do.
+function isPresent(val) {
+  return val !== undefined && val !== null;
+}
+// Exactly one of the given groups must be set. A group is a param name or an array of names that must be set together.
+function oneOf(...groups) {
+  groups = groups.map(group => isArray(group) ? group : [group]);
+  const describeGroup = group => group.join('+');
+  return {
+    rule: 'oneOf',
+    params: [].concat(...groups),
+    check(args) {
+      const present = groups.filter(group => group.some(name => isPresent(args[name])));
+      if (present.length !== 1) {
+        const found = present.length ? `found ${present.map(describeGroup).join(' and ')}` : 'found none';
+        return `exactly one of ${groups.map(describeGroup).join(', ')} must be set, ${found}`;
+      }
+      const missing = present[0].filter(name => !isPresent(args[name]));
+      if (missing.length) {
+        return `${missing.join(', ')} must be set together with ${describeGroup(present[0])}`;
+      }
+    }
+  };
+}
+function allOrNone(...names) {
+  return {
+    rule: 'allOrNone',
+    params: names,
+    check(args) {
+      const present = names.filter(name => isPresent(args[name]));
+      if (present.length && present.length !== names.length) {
+        return `all or none of ${names.join(', ')} must be set, found only ${present.join(', ')}`;
+      }
+    }
+  };
+}
+// The required param(s) must be set when condition holds. The condition is a param name,
+// which holds when that param is truthy, or a predicate over the args.
+function requiresIf(required, condition) {
+  required = isArray(required) ? required : [required];
+  const conditionName = typeof(condition) === 'string' ? condition : null;
+  const holds = conditionName ? args => !!args[conditionName] : condition;
+  const when = conditionName ? `${conditionName} is set` : `${condition.name || 'condition'} holds`;
+  return {
+    rule: 'requiresIf',
+    params: conditionName ? required.concat(conditionName) : required,
+    check(args) {
+      if (!holds(args)) { return }
+      const missing = required.filter(name => !isPresent(args[name]));
+      if (missing.length) {
+        return `${missing.join(', ')} must be set when ${when}`;
+      }
+    }
+  };
+}
+// Wrap a custom validate(args) hook as a constraint. The hook signals a violation by returning false or a message.
+function hookConstraint(hook) {
+  const message = result => {
+    if (result === false) { return 'validation failed' }
+    if (typeof(result) === 'string') { return result }
+  };
+  return {
+    rule: hook.name || 'validate',
+    params: [],
+    check(args) {
+      const result = hook(args);
+      return isThenable(result) ? result.then(message) : message(result);
+    }
+  };
+}
+
+///// Plugins /////
+// A plugin is an object with any of these hooks, each called with the plugin as `this`:
+//   onDefineParam(param, context) - as each param's methods are generated; context.defineMethod(action,
+//     methodName, method) adds a builder method, recorded in the param's spec methods
+//   beforeSet(value, context) - before set<Name>(), add<ItemName>() or addAll<Name>() stores a value
+//     (an item, for add); may return a replacement value
+//   afterSet(value, context) - after the value is stored; context.builder is the updated builder
+//   beforeBuild(args, context) - with the resolved args, before they are checked; may return replacement args
+//   checkArgs(args, context) - returns an array of errors found in the resolved args (or a promise of one,
+//     for buildAsync()); error param names are prefixed by context.prefix. context.unresolved names the params
+//     whose default functions read a missing required param, which are left undefined
+//   afterBuild(built, context) - with the built object; may return a replacement
+// Contexts always include Bldr, the builder class. Hooks run in order: built-in plugins, then plugins
+// registered with Builder.use() (in registration order) when the builder class was defined,
+// then those in the builder's plugins option.
+const pluginHooks = ['onDefineParam', 'beforeSet', 'afterSet', 'beforeBuild', 'checkArgs', 'afterBuild'];
+let globalPlugins = [];
+function checkPlugin(plugin) {
+  if (plugin === null || typeof(plugin) !== 'object') {
+    throw new TypeError('A builder plugin must be an object of hook functions.');
+  }
+  for (const key of Object.keys(plugin)) {
+    if (key === 'name') { continue }
+    if (pluginHooks.indexOf(key) === -1) {
+      throw new TypeError(`Builder plugin ${plugin.name || '(anonymous)'} has unknown hook ${key}.`);
+    }
+    if (typeof(plugin[key]) !== 'function') {
+      throw new TypeError(`Builder plugin ${plugin.name || '(anonymous)'} hook ${key} must be a function.`);
+    }
+  }
+  return plugin;
+}
+// The checks that required params are set, and only nullable params are null
+const requiredPlugin = {
+  name: 'required',
+  checkArgs(args, context) {
+    let errors = [];
+    for (const param of context.Bldr.spec) {
+      // Params whose defaults read a missing required param are not reported themselves
+      if (!param.isRequired || context.unresolved.indexOf(param.name) !== -1) { continue }
+      if (args[param.name] === undefined) {
+        errors.push(new MissingArgumentError(context.prefix + param.name));
+      } else if (!param.isNullable && args[param.name] === null) {
+        errors.push(new NullArgumentError(context.prefix + param.name));
+      }
+    }
+    return errors;
+  }
+};
+const builtinPlugins = [requiredPlugin];
+
+///// Builder Inheritance /////
+// Combine an inherited paramspec with a subclass's additions. Additions are appended, except
+// that { name, override: true } redefines an inherited param (merging with its spec) in place,
+// and { name, remove: true } drops one.
+function mergeParamSpecs(inherited, additions) {
+  let merged = inherited.slice();
+  for (const param of additions) {
+    // Leave malformed specs for Builder to reject
+    if (param === null || typeof(param) !== 'object' || typeof(param.name) !== 'string') {
+      merged.push(param);
+      continue;
+    }
+    const name = param.name;
+    const index = merged.findIndex(inheritedParam => inheritedParam.name === name);
+    if (index === -1) {
+      if (param.override || param.remove) {
+        throw new ParamSpecTypeError(name, `cannot be ${param.remove ? 'removed' : 'overridden'}, as it is not inherited`);
+      }
+      merged.push(param);
+    } else if (param.remove) {
+      merged.splice(index, 1);
+    } else if (param.override) {
+      const base = merged[index];
+      for (const flag of ['isList', 'isMap', 'isSet']) {
+        if (param[flag] !== undefined && !!param[flag] !== !!base[flag]) {
+          throw new ParamSpecTypeError(name, `cannot override inherited ${flag}: ${!!base[flag]}`);
+        }
+      }
+      let redefined = Object.assign({}, base, param);
+      delete redefined.override;
+      merged[index] = redefined;
+    } else {
+      throw new ParamSpecTypeError(name, 'is already inherited; use override: true to redefine it');
+    }
+  }
+  return merged;
+}
+// Subclass options override inherited ones, except that constraints, validate hooks and plugins accumulate
+function mergeOptions(inherited, additions) {
+  let merged = Object.assign({}, inherited, additions);
+  for (const key of ['constraints', 'validate', 'plugins']) {
+    if (inherited[key] !== undefined && additions[key] !== undefined) {
+      merged[key] = [].concat(inherited[key], additions[key]);
+    }
+  }
+  return merged;
+}
+
+///// Introspection /////
+function typeName(type) {
+  return type === undefined || typeof(type) === 'string' ? type : type.name || '(anonymous)';
+}
+// JSON-friendly metadata for a normalized param spec, as given by Bldr.describe()
+function describeParam(param) {
+  const kind = collectionKind(param);
+  let described = {
+    name: param.name,
+    key: param.key || param.name,
+    description: param.description,
+    methods: Object.assign({}, param.methods),
+    aliases: param.aliases.map(alias => ({ name: alias.name, method: alias.method, deprecated: alias.deprecated })),
+    itemName: param.itemName,
+    isRequired: param.isRequired,
+    isNullable: param.isNullable,
+    isList: param.isList,
+    isMap: param.isMap,
+    isSet: param.isSet,
+    isPositional: param.isPositional,
+    deprecated: param.deprecated,
+    mapType: param.mapType,
+    keyBy: typeof(param.keyBy) === 'function' ? '(function)' : param.keyBy,
+    onDuplicate: param.onDuplicate,
+    type: typeName(param.type),
+    itemType: typeName(param.itemType),
+    hasValidator: param.validator !== undefined || param.itemValidator !== undefined,
+    hasDefault: param.default !== undefined,
+    // Only literal defaults are described; those computed by a function are not known in advance
+    default: param.default === undefined || typeof(param.default) === 'function' ? undefined :
+      kind ? kind.toJSON(copyCollection(param, param.default)) : param.default,
+    builder: param.builder ? param.builder.describe() : undefined
+  };
+  for (const field of Object.keys(described)) {
+    if (described[field] === undefined) { delete described[field] }
+  }
+  return described;
+}
+
+///// Staged Builders /////
+// Key of the builder that a stage of a staged builder sets up
+const stageBuilder = Symbol('stageBuilder');
+const stageMethods = {
+  // The names of the required params still to be set, starting with this stage's
+  outstanding() {
+    return this[stageBuilder].outstanding();
+  }
+};
+
+///// Method Naming /////
+// Builder members that generated param methods may not replace
+const reservedNames = [
+  'args', 'extras', 'build', 'buildAsync', 'validate', 'validateAsync', 'clone', 'done', 'toObject', 'toJSON',
+  'outstanding', 'isSet', 'unset', 'missing', 'reset'
+].concat(Object.getOwnPropertyNames(Object.prototype));
+function toSnakeCase(str) {
+  return str.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+// Each strategy names the method for an action (set, add, remove, has, clear, addAll or edit) on a param,
+// given the param name, or for add, remove and has, the item name
+const namingStrategies = {
+  set: (action, name) => action + captlize1stChar(name),
+  with: (action, name) => (action === 'set' ? 'with' : action) + captlize1stChar(name),
+  bare: (action, name) => action === 'set' ? name : action + captlize1stChar(name),
+  snake_case: (action, name) => `${toSnakeCase(action)}_${toSnakeCase(name)}`
+};
+function aliasName(alias) {
+  return typeof(alias) === 'string' ? alias : alias.name;
+}
+
+///// Frozen Results and Records /////
+function frozenMutator(method) {
+  return function() { throw new TypeError(`Cannot ${method}: the collection is frozen.`) };
+}
+// Freeze plain objects and arrays, and the plain objects and arrays they hold
+function freezePlain(val) {
+  if (!(isArray(val) || isPlainObject(val)) || Object.isFrozen(val)) { return val }
+  Object.freeze(val); // Before freezing the values it holds, in case they refer back to it
+  for (const key of Object.keys(val)) { freezePlain(val[key]) }
+  return val;
+}
+// Freeze a built object and the collections the builder copied for it. Maps and Sets also get mutators that throw,
+// as freezing them leaves their entries writable. When deep, the plain objects and arrays they hold are frozen too;
+// other objects, such as services and class instances the caller passed in, are left alone.
+function freezeBuilt(built, collections, deep) {
+  for (const collection of collections) {
+    if (collection instanceof Map || collection instanceof Set) {
+      for (const method of [collection instanceof Map ? 'set' : 'add', 'delete', 'clear']) {
+        Object.defineProperty(collection, method, { value: frozenMutator(method) });
+      }
+      Object.freeze(collection);
+      if (deep) { collection.forEach(item => freezePlain(item)) }
+    } else {
+      Object.freeze(collection);
+      if (deep) { Object.keys(collection).forEach(key => freezePlain(collection[key])) }
+    }
+  }
+  if (built !== null && typeof(built) === 'object') {
+    Object.freeze(built);
+    if (deep) { Object.keys(built).forEach(key => freezePlain(built[key])) }
+  }
+  return built;
+}
+
+// Built records -> { Bldr, args, hash }, where args are the named args they were built from
+let records = new WeakMap();
+// Structural equality: arrays, plain objects, Maps (by key) and Sets item by item, Dates by time, records by equals(),
+// and anything else by identity (with NaN equal to itself).
+// Values that refer back to themselves are equal when they unfold alike: a pair of values met again while still
+// being compared is taken as equal, leaving any difference to show elsewhere.
+function valueEquals(a, b, comparing) {
+  if (a === b || (a !== a && b !== b)) { return true }
+  if (a === null || b === null || typeof(a) !== 'object' || typeof(b) !== 'object') { return false }
+  if (records.has(a)) { return a.equals(b) }
+  if (a instanceof Date) { return b instanceof Date && a.getTime() === b.getTime() }
+  comparing = comparing || []; // The pairs being compared, outermost first
+  if (comparing.some(pair => pair[0] === a && pair[1] === b)) { return true }
+  comparing.push([a, b]);
+  const equal = containersEqual(a, b, (x, y) => valueEquals(x, y, comparing));
+  comparing.pop();
+  return equal;
+}
+// valueEquals() for arrays, Maps, Sets and plain objects, comparing the values they hold with equals
+function containersEqual(a, b, equals) {
+  if (isArray(a)) {
+    return isArray(b) && a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  }
+  if (a instanceof Map) {
+    return b instanceof Map && a.size === b.size &&
+      Array.from(a).every(entry => b.has(entry[0]) && equals(entry[1], b.get(entry[0])));
+  }
+  if (a instanceof Set) {
+    if (!(b instanceof Set) || a.size !== b.size) { return false }
+    // Each item must match a different item of b
+    let unmatched = Array.from(b);
+    return Array.from(a).every(item => {
+      let index = unmatched.indexOf(item);
+      if (index === -1) { index = unmatched.findIndex(other => equals(item, other)) }
+      if (index !== -1) { unmatched.splice(index, 1) }
+      return index !== -1;
+    });
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && equals(a[key], b[key]));
+  }
+  return false;
+}
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) { hash = (Math.imul(hash, 31) + str.charCodeAt(i)) | 0 }
+  return hash;
+}
+function hashSum(items, hashItem) {
+  return items.reduce((hash, item) => (hash + hashItem(item)) | 0, 0);
+}
+// Objects compared by identity hash by an id assigned on first use
+let objectIds = new WeakMap();
+let nextObjectId = 1;
+// Values that refer back to themselves all hash alike, as a value equal to one may loop back at a different depth
+const cyclicHash = hashString('cyclic');
+// A 32-bit integer hash, equal for values that valueEquals() finds equal.
+// Maps, Sets and plain objects add up the hashes of their entries, so that their order doesn't matter.
+function hashValue(val) {
+  let hashing = []; // The containers being hashed, outermost first
+  let cyclic = false;
+  function hash(val) {
+    if (val === null || val === undefined) { return 0 }
+    if (typeof(val) !== 'object' && typeof(val) !== 'function') {
+      return hashString(`${typeof(val)}:${String(val)}`);
+    }
+    if (records.has(val)) { return val.hashCode() }
+    if (val instanceof Date) { return hashString(`date:${val.getTime()}`) }
+    if (!(isArray(val) || val instanceof Map || val instanceof Set || isPlainObject(val))) {
+      if (!objectIds.has(val)) { objectIds.set(val, nextObjectId++) }
+      return objectIds.get(val);
+    }
+    if (hashing.indexOf(val) !== -1) {
+      cyclic = true;
+      return 0;
+    }
+    hashing.push(val);
+    let result;
+    if (isArray(val)) {
+      result = val.reduce((sum, item) => (Math.imul(sum, 31) + hash(item)) | 0, 1);
+    } else if (val instanceof Map) {
+      result = hashSum(Array.from(val), entry => hash(entry[0]) ^ hash(entry[1]));
+    } else if (val instanceof Set) {
+      result = hashSum(Array.from(val), hash);
+    } else {
+      result = hashSum(Object.keys(val), key => hashString(key) ^ hash(val[key]));
+    }
+    hashing.pop();
+    return result;
+  }
+  const result = hash(val);
+  return cyclic ? cyclicHash : result;
+}
+// The methods of every record, as non-enumerable properties so they stay out of its keys and JSON
+const recordMethods = {
+  // Whether other is a record of the same builder class, built from structurally equal args
+  equals(other) {
+    const record = records.get(this);
+    const otherRecord = other !== null && typeof(other) === 'object' ? records.get(other) : undefined;
+    return otherRecord !== undefined && otherRecord.Bldr === record.Bldr && valueEquals(record.args, otherRecord.args);
+  },
+  hashCode() {
+    let record = records.get(this);
+    if (record.hash === undefined) { record.hash = hashValue(record.args) }
+    return record.hash;
+  },
+  // A new builder set to the args this record was built from, for making modified copies
+  toBuilder() {
+    const record = records.get(this);
+    return record.Bldr.fromInstance(record.args);
+  }
+};
+const recordMethodNames = Object.keys(recordMethods);
+function makeRecord(Bldr, built, args) {
+  if (built === null || typeof(built) !== 'object') {
+    throw new TypeError(`Record mode requires build results to be objects, not ${describeValue(built)}.`);
+  }
+  for (const name of recordMethodNames) {
+    Object.defineProperty(built, name, { value: recordMethods[name], configurable: true, writable: true });
+  }
+  records.set(built, { Bldr, args: freezeBuilt(args, [], true) });
+  return built;
+}
+
+///// Build Cache /////
+// Marks the nested builders in cache keys
+const nestedBuilderTag = Symbol('nestedBuilder');
+// Built objects by the args they were built from, up to max entries, evicting the least recently used.
+// Entries are grouped by the hash code of their args, so args are only compared structurally within a group;
+// the groups are kept in a Map, whose insertion order tracks recency.
+class BuildCache {
+  constructor(max) {
+    this.max = max;
+    this.buckets = new Map(); // Hash code -> [{ key, built }], the least recently used first
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+  get(key, hash) {
+    const bucket = this.buckets.get(hash);
+    const index = bucket ? bucket.findIndex(entry => valueEquals(entry.key, key)) : -1;
+    if (index === -1) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    const entry = bucket.splice(index, 1)[0];
+    this.touch(hash, bucket).push(entry);
+    return entry.built;
+  }
+  set(key, hash, built) {
+    const bucket = this.buckets.get(hash) || [];
+    // Concurrent buildAsync() calls may both miss; the first to finish keeps its entry
+    if (bucket.some(entry => valueEquals(entry.key, key))) { return }
+    this.touch(hash, bucket).push({ key, built });
+    this.size++;
+    while (this.size > this.max) {
+      const oldestHash = this.buckets.keys().next().value;
+      const oldest = this.buckets.get(oldestHash);
+      oldest.shift();
+      if (!oldest.length) { this.buckets.delete(oldestHash) }
+      this.size--;
+      this.evictions++;
+    }
+  }
+  // Move a bucket to the most recently used end
+  touch(hash, bucket) {
+    this.buckets.delete(hash);
+    this.buckets.set(hash, bucket);
+    return bucket;
+  }
+  clear() {
+    this.buckets.clear();
+    this.size = this.hits = this.misses = this.evictions = 0;
+  }
+  stats() {
+    return { size: this.size, max: this.max, hits: this.hits, misses: this.misses, evictions: this.evictions };
+  }
+}
 
 ///// Main Code - Builder Constructor /////
-function Builder(paramspec, cnstr) {
+// Options:
+//   typeCheck - 'set' (default) to check declared types as values are set or added,
+//               or 'build' to defer all type checks until build()
+//   constraints - array of cross-parameter constraints, e.g. from Builder.oneOf(), checked by build()
+//   validate - function, or array of functions, receiving the resolved args in build();
+//              returning false or a message string signals a violation. Async functions need buildAsync().
+//   collectErrors - if true, build() throws a single BuilderValidationError listing every problem,
+//                   instead of throwing the first one found
+//   argStyle - 'positional' (default) passes the args in paramspec order; 'named' passes a single object
+//              keyed by param name, preceded by any params marked isPositional (in paramspec order)
+//   invoke - 'new' (default) constructs with cnstr; 'call' (the default for async functions) calls cnstr
+//            as a plain factory function, whose promise buildAsync() awaits;
+//            'none' returns the args object itself, and needs no cnstr
+//   immutable - if true, setters and adders leave the builder unchanged and return an updated copy,
+//               so one builder can safely serve as the template for many
+//   unknownKeys - what Bldr.from() does with keys that match no param: 'throw' (default) an
+//                 UnknownParameterError, 'ignore' them, or 'collect' them into the builder's extras object
+//   plugins - array of plugins for this builder class, run after those registered with Builder.use()
+//   naming - how generated methods are named: 'set' (default: setTimeout, addTag), 'with' (withTimeout),
+//            'bare' (timeout), 'snake_case' (set_timeout, add_tag), or a function(action, name) returning the name
+//   staged - if true, new Bldr() returns a stage offering only the setters of the first required param
+//            (without a default); each returns the stage for the next, and the last returns the builder itself
+//   logger - object whose warn(message) method reports the first use of each deprecated param or alias;
+//            Builder.logger (console by default) if not given
+//   freeze - if true, build() freezes the built object, its lists, maps and sets, and the plain objects and arrays
+//            they hold; other objects it refers to, such as services passed in as args, are left alone
+//   record - if true, build() returns frozen value objects, with equals(other) comparing the args they were built
+//            from structurally, a matching hashCode(), and toBuilder() returning a builder set to those args
+//   cache - true, or { max } (default 100), to have build() return the same object, frozen along with its lists,
+//           maps and sets (but not the values they hold, unless the freeze option is also set), for builders whose
+//           args are structurally equal, caching the max most recently used. Cache hits skip all checks,
+//           defaults and plugin hooks. Params may have a cacheKey function, whose result for the param's value
+//           stands in for it in the comparison. Bldr.cacheStats() counts hits, misses and evictions.
+function Builder(paramspec, cnstr, options) {
   if (!isArray(paramspec)) {
     throw new TypeError('Builder constructor requires an array of parameter specifications as first argument.');
   }
-  if (typeof(cnstr) !== 'function') {
+  if (options === undefined) { options = {} }
+  if (options === null || typeof(options) !== 'object') {
+    throw new TypeError('Builder constructor options, if given, must be an object.');
+  }
+  // Read an option that takes one of a fixed set of values, the first being the default
+  function choiceOption(name, choices) {
+    const val = options[name] === undefined ? choices[0] : options[name];
+    if (choices.indexOf(val) === -1) {
+      const allowed = choices.map(choice => `'${choice}'`).join(', ');
+      throw new TypeError(`Builder option ${name} must be one of ${allowed}, not ${describeValue(val)}.`);
+    }
+    return val;
+  }
+  const typeCheck = choiceOption('typeCheck', ['set', 'build']);
+  const argStyle = choiceOption('argStyle', ['positional', 'named']);
+  // Async functions cannot be called with new, so are called as factories unless the invoke option says otherwise
+  const invoke = choiceOption('invoke', isAsyncFunction(cnstr) ? ['call', 'new', 'none'] : ['new', 'call', 'none']);
+  const unknownKeys = choiceOption('unknownKeys', ['throw', 'ignore', 'collect']);
+  const staged = !!options.staged;
+  const naming = typeof(options.naming) === 'function' ? options.naming :
+    namingStrategies[choiceOption('naming', Object.keys(namingStrategies))];
+  if (options.logger !== undefined && (options.logger === null || typeof(options.logger.warn) !== 'function')) {
+    throw new TypeError('Builder option logger must be an object with a warn(message) method.');
+  }
+  if (options.cache !== undefined && typeof(options.cache) !== 'boolean' && (options.cache === null ||
+      typeof(options.cache) !== 'object' || (options.cache.max !== undefined && !(Number.isInteger(options.cache.max) && options.cache.max > 0)))) {
+    throw new TypeError('Builder option cache must be a boolean, or an object whose max is a positive integer.');
+  }
+  const cache = options.cache ? new BuildCache(options.cache.max || 100) : undefined;
+  if (invoke !== 'none' && typeof(cnstr) !== 'function') {
     throw new TypeError('Builder constructor requires a function (constructor) as second argument.');
   }
+  const hooks = options.validate === undefined ? [] : [].concat(options.validate);
+  for (const hook of hooks) {
+    if (typeof(hook) !== 'function') {
+      throw new TypeError('Builder option validate must be a function or an array of functions.');
+    }
+  }
+  if (options.plugins !== undefined && !isArray(options.plugins)) {
+    throw new TypeError('Builder option plugins must be an array of plugins.');
+  }
+  // Each plugin runs once, even if both registered globally and given in the options
+  const plugins = builtinPlugins.concat(globalPlugins, (options.plugins || []).map(checkPlugin))
+    .filter((plugin, i, all) => all.indexOf(plugin) === i);
+  let hookPlugins = {}; // Hook name -> plugins with that hook, in order
+  for (const hook of pluginHooks) { hookPlugins[hook] = plugins.filter(plugin => plugin[hook] !== undefined) }
+  // Pass a value through a transforming hook of each plugin; a hook returning undefined keeps the value
+  function transform(hook, value, context) {
+    for (const plugin of hookPlugins[hook]) {
+      const result = plugin[hook](value, context);
+      if (result !== undefined) { value = result }
+    }
+    return value;
+  }
+  const constraints = (options.constraints || []).concat(hooks.map(hookConstraint));
+  for (const constraint of constraints) {
+    if (constraint === null || typeof(constraint) !== 'object' || typeof(constraint.check) !== 'function') {
+      throw new TypeError('Builder option constraints must be an array of objects with a check(args) method.');
+    }
+    for (const name of constraint.params || []) {
+      if (!paramspec.some(param => param && param.name === name)) {
+        throw new ParamSpecTypeError(name, `is referenced by constraint ${constraint.rule} but not specified`);
+      }
+    }
+  }
   function typecheckParamSpec(param) {
     if (param === null || typeof(param) !== 'object') {
       throw new ParamSpecTypeError('must be a non-null object');
@@ -59,61 +940,777 @@ function Builder(paramspec, cnstr) {
     if (param.itemName && typeof(param.itemName) !== 'string') {
       throw new ParamSpecTypeError(param.name, 'itemName must be a string');
     }
+    for (const field of ['type', 'itemType']) {
+      if (param[field] !== undefined && !isValidType(param[field])) {
+        throw new ParamSpecTypeError(param.name, `${field} must be a constructor or one of ${typeNames.join(', ')}`);
+      }
+    }
+    for (const field of ['validator', 'itemValidator', 'cacheKey']) {
+      if (param[field] !== undefined && typeof(param[field]) !== 'function') {
+        throw new ParamSpecTypeError(param.name, `${field} must be a function`);
+      }
+    }
+    if (['isList', 'isMap', 'isSet'].filter(flag => param[flag]).length > 1) {
+      throw new ParamSpecTypeError(param.name, 'isList, isMap and isSet are mutually exclusive');
+    }
+    const kind = collectionKind(param);
+    if ((param.itemType !== undefined || param.itemValidator !== undefined) && !kind) {
+      throw new ParamSpecTypeError(param.name, 'itemType and itemValidator apply only to collection parameters');
+    }
+    if (param.keyBy !== undefined && (!param.isList || (typeof(param.keyBy) !== 'string' && typeof(param.keyBy) !== 'function'))) {
+      throw new ParamSpecTypeError(param.name, 'keyBy must be a property name or function, and applies only to list parameters');
+    }
+    if (param.mapType !== undefined && (!param.isMap || ['object', 'Map'].indexOf(param.mapType) === -1)) {
+      throw new ParamSpecTypeError(param.name, 'mapType must be "object" or "Map", and applies only to map parameters');
+    }
+    if (param.onDuplicate !== undefined &&
+        (!kind || !kind.isKeyed || ['overwrite', 'throw', 'ignore'].indexOf(param.onDuplicate) === -1)) {
+      throw new ParamSpecTypeError(param.name,
+        'onDuplicate must be "overwrite", "throw" or "ignore", and applies only to keyed lists, maps and sets');
+    }
+    if (param.builder !== undefined && (param.isSet || param.keyBy !== undefined)) {
+      throw new ParamSpecTypeError(param.name, 'set and keyed list parameters cannot have nested builders');
+    }
+    if (param.builder !== undefined && !isBuilderClass(param.builder)) {
+      throw new ParamSpecTypeError(param.name, 'builder must be a builder class created by Builder()');
+    }
+    if (param.key !== undefined && typeof(param.key) !== 'string') {
+      throw new ParamSpecTypeError(param.name, 'key must be a string');
+    }
+    const isDeprecation = val => val === undefined || typeof(val) === 'boolean' || typeof(val) === 'string';
+    if (param.aliases !== undefined && (!isArray(param.aliases) || !param.aliases.every(alias =>
+        typeof(alias) === 'string' ||
+        (alias !== null && typeof(alias) === 'object' && typeof(alias.name) === 'string' && isDeprecation(alias.deprecated))))) {
+      throw new ParamSpecTypeError(param.name, 'aliases must be an array of names or { name, deprecated } objects');
+    }
+    if (!isDeprecation(param.deprecated)) {
+      throw new ParamSpecTypeError(param.name, 'deprecated must be a boolean or a message string');
+    }
+    if (param.isPositional && argStyle !== 'named') {
+      throw new ParamSpecTypeError(param.name, 'isPositional applies only when argStyle is "named"');
+    }
+    if (param.default !== undefined && typeof(param.default) !== 'function') {
+      if (kind && !kind.inputEntries(param.default, param)) {
+        throw new ParamSpecTypeError(param.name, `default for a ${kind.label.toLowerCase()} parameter must be ${kind.expects}`);
+      }
+      // Async validators are left to buildAsync(), which checks defaults as it builds
+      let err;
+      let pending = [];
+      try {
+        err = checkValue(param, copyCollection(param, param.default), undefined, pending);
+        for (const promise of pending) { promise.catch(() => {}) }
+      } catch (duplicate) {
+        err = duplicate;
+      }
+      if (err) { throw new ParamSpecTypeError(param.name, `invalid default: ${err.message}`) }
+    }
   }
 
   let Bldr = function() {
-    this.args = {};
+    // Param name -> value set; without a prototype, so that params named after Object.prototype properties start unset
+    this.args = Object.create(null);
+    if (staged && stages.length) { return enterStage(0, this) }
   };
-  let requiredParams = []; // Array for fast iteration
-  let nullables = {}; // Map for fast lookup
+  let specified = Object.create(null);
+  let setters = Object.create(null); // Param name -> setter method
+  let paramsByKey = Object.create(null); // Param name, serialized key or alias -> param spec, for from()
+  let paramMethods = []; // Names of methods generated for params, so extend() can hide those of removed params
+  let normalizedSpec = []; // Param specs with defaults filled in and generated method names, for Bldr.spec
+  let methodOwners = Object.create(null); // Generated method name -> param it was generated for
+  // The name of the method for an action on a param, following the naming option
+  function nameMethod(param, action, name) {
+    const methodName = naming(action, name);
+    if (typeof(methodName) !== 'string' || methodName === '') {
+      throw new ParamSpecTypeError(param.name, `naming gave no method name for ${action} ${name}`);
+    }
+    return methodName;
+  }
+  // Define a generated method, recording its name under the action it performs, if any.
+  // The methods of a deprecated param warn on first use.
+  function defineParamMethod(param, methods, action, methodName, method) {
+    if (reservedNames.indexOf(methodName) !== -1) {
+      throw new ParamSpecTypeError(param.name, `method name ${methodName} is reserved`);
+    }
+    if (methodOwners[methodName] !== undefined) {
+      throw new ParamSpecTypeError(param.name, `method ${methodName} is already generated for parameter ${methodOwners[methodName]}`);
+    }
+    methodOwners[methodName] = param.name;
+    Bldr.prototype[methodName] = !param.deprecated ? method : function() {
+      warnDeprecated(`Parameter ${param.name}`, param.deprecated);
+      return method.apply(this, arguments);
+    };
+    paramMethods.push(methodName);
+    if (action) { methods[action] = methodName }
+  }
+  let warned = Object.create(null);
+  // Report the first use of something deprecated through the logger; a deprecated message replaces the hint
+  function warnDeprecated(subject, deprecated, hint) {
+    if (warned[subject]) { return }
+    warned[subject] = true;
+    const reason = typeof(deprecated) === 'string' ? deprecated : hint;
+    (options.logger || Builder.logger).warn(`${subject} is deprecated${reason ? ': ' + reason : ''}`);
+  }
+  let deprecatedKeys = Object.create(null); // Key -> [subject, deprecated, hint], for from()
+  let asyncChecked = Object.create(null); // Params found to have async validators, which only build-time checks can await
+  // Run a setter's type check, throwing the error if any. An async validator's verdict is left to buildAsync().
+  function checkOnSet(name, check) {
+    let pending = [];
+    const err = check(pending);
+    if (pending.length) {
+      asyncChecked[name] = true;
+      for (const promise of pending) { promise.catch(() => {}) }
+    }
+    if (err) { throw err }
+  }
+  // The builder for a mutator to modify and return: in immutable mode, a copy sharing all the args
+  function writable(builder) {
+    if (!options.immutable) { return builder }
+    let copy = Object.create(Object.getPrototypeOf(builder));
+    copy.args = Object.assign(Object.create(null), builder.args);
+    if (builder.extras !== undefined) { copy.extras = builder.extras } // Unknown keys collected by from()
+    if (builder[attachToParent]) { copy[attachToParent] = builder[attachToParent] }
+    return copy;
+  }
   for (const param of paramspec) {
     typecheckParamSpec(param);
 
     const name = param.name;
-    const itemName = (param.isList || param.isMap) && param.itemName ? param.itemName : name;
-    if (param.isRequired) { requiredParams.push(name) }
-    if (param.isNullable) { nullables[name] = true }
+    if (specified[name]) {
+      throw new ParamSpecTypeError(name, 'is specified more than once');
+    }
+    specified[name] = true;
+    // Records built as args objects would have their methods replaced by these params
+    if (options.record && invoke === 'none' && recordMethodNames.indexOf(name) !== -1) {
+      throw new ParamSpecTypeError(name, 'is the name of a record method');
+    }
+    const kind = collectionKind(param);
+    const itemName = kind && param.itemName ? param.itemName : name;
+    let methods = {};
+    for (const key of [name, param.key].concat((param.aliases || []).map(aliasName))) {
+      if (key === undefined || paramsByKey[key] === param) { continue }
+      if (paramsByKey[key]) {
+        throw new ParamSpecTypeError(name, `key or alias ${key} is already used by parameter ${paramsByKey[key].name}`);
+      }
+      paramsByKey[key] = param;
+    }
 
-    Bldr.prototype['set'+captlize1stChar(name)] = function(val) {
-      if (param.isList && !isArray(val)) {
-        throw new TypeError(`List parameter ${name} expects an array.`);
+    // Run the plugins' beforeSet hooks, and afterSet hooks once the change is made by store(value)
+    function withSetHooks(builder, action, val, store) {
+      val = transform('beforeSet', val, { Bldr, builder, param, action });
+      const target = store(val);
+      for (const plugin of hookPlugins.afterSet) { plugin.afterSet(val, { Bldr, builder: target, param, action }) }
+      return target;
+    }
+    defineParamMethod(param, methods, 'set', nameMethod(param, 'set', name), setters[name] = function(val) {
+      return withSetHooks(this, 'set', val, val => setValue(this, val));
+    });
+    // Each alias has a setter too, which warns on first use if the alias is deprecated
+    let aliases = [];
+    for (const alias of param.aliases || []) {
+      const deprecated = typeof(alias) === 'string' ? false : alias.deprecated || false;
+      const methodName = nameMethod(param, 'set', aliasName(alias));
+      defineParamMethod(param, methods, null, methodName, function(val) {
+        if (deprecated) { warnDeprecated(`${methodName}()`, deprecated, `use ${methods.set}() instead`) }
+        return setters[name].call(this, val);
+      });
+      aliases.push(Object.freeze({ name: aliasName(alias), deprecated, method: methodName }));
+      if (deprecated) {
+        deprecatedKeys[aliasName(alias)] = [`Key ${aliasName(alias)}`, deprecated, `use ${param.key || name} instead`];
       }
-      this.args[name] = val;
-      return this;
-    };
+    }
+    if (param.deprecated) {
+      for (const key of [name, param.key].concat(aliases.map(alias => alias.name))) {
+        if (key !== undefined) { deprecatedKeys[key] = [`Parameter ${name}`, param.deprecated] }
+      }
+    }
+    function setValue(builder, val) {
+      if (kind && !(val === null && param.isNullable)) {
+        val = toCollection(param, kind, val);
+        if (val === undefined) {
+          throw new TypeError(`${kind.label} parameter ${name} expects ${kind.expects}.`);
+        }
+      }
+      if (typeCheck === 'set') { checkOnSet(name, pending => checkValue(param, val, undefined, pending)) }
+      let target = writable(builder);
+      target.args[name] = val;
+      return target;
+    }
 
-    if (param.isList && param.isMap) {
-      throw new ParamSpecTypeError(name, 'isList and isMap are mutually exclusive');
+    // Change this param's collection on a writable builder, copying the collection first in immutable mode
+    function modifyCollection(builder, change) {
+      let target = writable(builder);
+      let collection = target.args[name];
+      if (collection === undefined || collection === null) {
+        collection = kind.empty();
+      } else if (options.immutable) {
+        collection = kind.copy(collection);
+      }
+      change(collection);
+      target.args[name] = collection;
+      return target;
     }
-    if (param.isList) {
-      Bldr.prototype['add'+captlize1stChar(itemName)] = function(val) {
-        if (!this.args[name]) { this.args[name] = [] }
-        this.args[name].push(val);
-        return this;
-      };
+    // Add a nested builder as an item, opening it for configuration. It replaces any item under
+    // the same key, unless onDuplicate is 'throw'.
+    function addNested(builder, key, configure) {
+      const current = builder.args[name];
+      if (param.onDuplicate === 'throw' && kind.isKeyed && current && kind.has(current, key, param)) {
+        throw new DuplicateItemError(name, key);
+      }
+      const child = emptyBuilder(param.builder);
+      const putChild = (target, item) => modifyCollection(target, collection => kind.put(collection, key, item, param));
+      const target = putChild(builder, child);
+      return openNested(param, child, configure, configured => putChild(target, configured));
+    }
+    if (param.builder && !kind) {
+      defineParamMethod(param, methods, 'edit', nameMethod(param, 'edit', name), function(configure) {
+        let target = writable(this);
+        const current = target.args[name];
+        if (!isNestedBuilder(param, current)) {
+          // Start from a built object already set, so editing changes a copy of it
+          target.args[name] = current instanceof Object ? param.builder.fromInstance(current) : emptyBuilder(param.builder);
+        } else if (options.immutable) {
+          // A mutable child builder is shared with the builder this one was derived from, so edit a copy
+          target.args[name] = current.clone();
+        }
+        return openNested(param, target.args[name], configure, configured => {
+          let attached = writable(target);
+          attached.args[name] = configured;
+          return attached;
+        });
+      });
     }
-    if (param.isMap) {
-      Bldr.prototype['add'+captlize1stChar(itemName)] = function(key, val) {
-        if (!this.args[name]) { this.args[name] = {} }
-        this.args[name][key] = val;
-        return this;
+    if (kind) {
+      // Lists and sets take add<ItemName>(item), maps add<ItemName>(key, item); a keyed list finds the key in the item
+      defineParamMethod(param, methods, 'add', nameMethod(param, 'add', itemName), function(keyOrItem, mapItem) {
+        const item = kind.takesKey ? mapItem : keyOrItem;
+        if (param.builder && (item === undefined || typeof(item) === 'function')) {
+          return addNested(this, kind.itemKey(this.args[name] || kind.empty(), keyOrItem, item, param), item);
+        }
+        return withSetHooks(this, 'add', item, val => {
+          const key = kind.itemKey(this.args[name] || kind.empty(), keyOrItem, val, param);
+          if (typeCheck === 'set') { checkOnSet(name, pending => checkItem(param, key, val, undefined, pending)) }
+          return modifyCollection(this, collection => addItem(param, kind, collection, key, val));
+        });
+      });
+      // Remove the item with the given key: a list item (every occurrence) or set item, a map key,
+      // or the key of a keyed list item
+      defineParamMethod(param, methods, 'remove', nameMethod(param, 'remove', itemName), function(key) {
+        const current = this.args[name];
+        if (current === undefined || current === null) { return writable(this) }
+        return modifyCollection(this, collection => kind.remove(collection, key, param));
+      });
+      defineParamMethod(param, methods, 'has', nameMethod(param, 'has', itemName), function(key) {
+        const current = this.args[name];
+        return current !== undefined && current !== null && kind.has(current, key, param);
+      });
+      defineParamMethod(param, methods, 'clear', nameMethod(param, 'clear', name), function() {
+        let target = writable(this);
+        target.args[name] = kind.empty();
+        return target;
+      });
+      // Add each item of the input, which may be anything the setter accepts
+      defineParamMethod(param, methods, 'addAll', nameMethod(param, 'addAll', name), function(items) {
+        return withSetHooks(this, 'addAll', items, items => {
+          const current = this.args[name];
+          let collection = current === undefined || current === null ? kind.empty() : kind.copy(current);
+          if (!addAllItems(param, kind, collection, items)) {
+            throw new TypeError(`${kind.label} parameter ${name} expects ${kind.expects}.`);
+          }
+          if (typeCheck === 'set') { checkOnSet(name, pending => checkValue(param, collection, undefined, pending)) }
+          let target = writable(this);
+          target.args[name] = collection;
+          return target;
+        });
+      });
+    }
+    for (const plugin of hookPlugins.onDefineParam) {
+      plugin.onDefineParam(param, {
+        Bldr,
+        methods: Object.assign({}, methods),
+        nameMethod: (action, name) => nameMethod(param, action, name),
+        defineMethod: (action, methodName, method) => {
+          if (methods[action] !== undefined) {
+            throw new ParamSpecTypeError(name, `already has a ${action} method, ${methods[action]}`);
+          }
+          defineParamMethod(param, methods, action, methodName, method);
+        }
+      });
+    }
+
+    normalizedSpec.push(Object.freeze(Object.assign({}, param, {
+      itemName: kind ? itemName : undefined,
+      isRequired: !!param.isRequired,
+      isNullable: !!param.isNullable,
+      isList: !!param.isList,
+      isMap: !!param.isMap,
+      isSet: !!param.isSet,
+      mapType: param.isMap ? param.mapType || 'object' : undefined,
+      onDuplicate: kind && kind.isKeyed ? param.onDuplicate || (param.isSet ? 'ignore' : 'overwrite') : undefined,
+      isPositional: !!param.isPositional,
+      aliases: Object.freeze(aliases),
+      deprecated: param.deprecated || false,
+      methods: Object.freeze(methods)
+    })));
+  }
+  // For tooling such as the TypeScript declaration generator: the normalized param specs, and options
+  Bldr.spec = Object.freeze(normalizedSpec);
+  Bldr.options = Object.freeze(Object.assign({}, options, {
+    typeCheck, argStyle, invoke, unknownKeys, naming: options.naming || 'set'
+  }));
+  Bldr.plugins = Object.freeze(plugins.slice()); // In the order their hooks run
+  // JSON-friendly metadata for the builder class: its params (with nested builders described in full),
+  // the options that affect how it is used, and its constraints
+  Bldr.describe = function() {
+    return {
+      params: normalizedSpec.map(describeParam),
+      options: {
+        typeCheck, argStyle, invoke, unknownKeys, staged,
+        naming: typeof(options.naming) === 'function' ? '(function)' : options.naming || 'set',
+        immutable: !!options.immutable,
+        collectErrors: !!options.collectErrors,
+        freeze: !!options.freeze,
+        record: !!options.record,
+        cache: cache ? { max: cache.max } : false
+      },
+      constraints: constraints.map(constraint => ({ rule: constraint.rule, params: (constraint.params || []).slice() }))
+    };
+  };
+
+  // Staged mode: the required params without defaults, in spec order, are set one stage at a time.
+  // A stage offers the param's setters (including aliases) and outstanding(), and wraps the builder being set up.
+  const stagedParams = normalizedSpec.filter(param => param.isRequired && param.default === undefined);
+  const stages = !staged ? [] : stagedParams.map((param, index) => {
+    let stage = Object.create(stageMethods);
+    for (const methodName of [param.methods.set].concat(param.aliases.map(alias => alias.method))) {
+      stage[methodName] = function(val) {
+        const builder = Bldr.prototype[methodName].call(this[stageBuilder], val);
+        return index + 1 < stages.length ? enterStage(index + 1, builder) : builder;
       };
     }
+    return stage;
+  });
+  function enterStage(index, builder) {
+    let stage = Object.create(stages[index]);
+    stage[stageBuilder] = builder;
+    return stage;
   }
+  // The names of the required params without defaults that have not been set, in spec order
+  Bldr.prototype.outstanding = function() {
+    return stagedParams.filter(param => this.args[param.name] === undefined).map(param => param.name);
+  };
 
-  Bldr.prototype.build = function() {
-    for (const requiredParam of requiredParams) {
-      if (this.args[requiredParam] === undefined) {
-        throw new MissingArgumentError(requiredParam);
+  function checkParamName(name) {
+    if (!specified[name]) { throw new UnknownParameterError(name) }
+  }
+  // Whether a param has been set (to anything but undefined), not counting its default
+  Bldr.prototype.isSet = function(name) {
+    checkParamName(name);
+    return this.args[name] !== undefined;
+  };
+  // Unset a param, so that its default applies again
+  Bldr.prototype.unset = function(name) {
+    checkParamName(name);
+    let target = writable(this);
+    delete target.args[name];
+    return target;
+  };
+  // The names of the required params that are unset and without a default. Default functions are not run,
+  // so a required param whose default function gives undefined is only reported by build().
+  Bldr.prototype.missing = function() {
+    return normalizedSpec.filter(param => param.isRequired && param.default === undefined && this.args[param.name] === undefined)
+      .map(param => param.name);
+  };
+  // Unset every param
+  Bldr.prototype.reset = function() {
+    let target = writable(this);
+    target.args = Object.create(null);
+    return target;
+  };
+
+  // Fill in defaults for unset parameters. A default function is called with a view of all the args,
+  // whose properties resolve other parameters' defaults on first access, so defaults may depend on each other.
+  // Async default functions are only allowed with allowAsync, for buildAsync(); the view then gives
+  // promises for their values, which other async defaults can await.
+  // A default function that reads a required param that is unset and without a default, directly or through
+  // another default, is left unresolved, so the missing param is what gets reported; its name is added to
+  // the unresolved array.
+  function resolveArgs(args, allowAsync, unresolved) {
+    let resolved = Object.create(null);
+    let resolving = Object.create(null);
+    let view = {};
+    const isMissing = param => param.isRequired && param.default === undefined && args[param.name] === undefined;
+    function resolve(param) {
+      const name = param.name;
+      if (name in resolved) { return resolved[name] }
+      if (args[name] !== undefined || param.default === undefined) {
+        resolved[name] = args[name];
+      } else if (typeof(param.default) === 'function') {
+        if (resolving[name]) {
+          throw new ParamSpecTypeError(name, 'default depends on its own value');
+        }
+        resolving[name] = true;
+        try {
+          resolved[name] = param.default(view);
+        } catch (err) {
+          if (err !== missingParamRead) { throw err }
+          resolved[name] = undefined;
+          unresolved.push(name);
+        }
+        if (!allowAsync && isThenable(resolved[name])) {
+          ignoreRejection(resolved[name]);
+          throw new TypeError(`The default for parameter ${name} is async; use buildAsync() instead of build().`);
+        }
+      } else {
+        resolved[name] = copyCollection(param, param.default);
+      }
+      return resolved[name];
+    }
+    for (const param of paramspec) {
+      Object.defineProperty(view, param.name, { enumerable: true, get: () => {
+        const val = resolve(param);
+        if (isMissing(param) || unresolved.indexOf(param.name) !== -1) { throw missingParamRead }
+        return val;
+      } });
+    }
+    for (const param of paramspec) { resolve(param) }
+    return resolved;
+  }
+
+  // resolveArgs() for buildAsync(): all async defaults run at once, and are awaited together
+  function resolveArgsAsync(args, unresolved) {
+    let resolved = resolveArgs(args, true, unresolved);
+    const names = Object.keys(resolved).filter(name => args[name] === undefined && isThenable(resolved[name]));
+    return Promise.all(names.map(name => Promise.resolve(resolved[name]).then(null, err => {
+      if (err !== missingParamRead) { throw err }
+      unresolved.push(name);
+      return undefined;
+    }))).then(values => {
+      names.forEach((name, i) => { resolved[name] = values[i] });
+      return resolved;
+    });
+  }
+
+  // Find every problem with the resolved args, given the args that were explicitly set,
+  // including problems in nested builders. Param names are prefixed by the builder's path.
+  // With isAsync, for buildAsync(), the array also holds promises for the results of async checks;
+  // settleErrors() resolves it to the errors alone.
+  function findErrors(args, setArgs, unresolved, prefix, isAsync) {
+    let errors = [];
+    try {
+      collectErrors(errors, args, setArgs, unresolved, prefix, isAsync);
+    } catch (err) {
+      // The async checks already started are abandoned with the build
+      errors.filter(isThenable).forEach(ignoreRejection);
+      throw err;
+    }
+    return errors;
+  }
+  function collectErrors(errors, args, setArgs, unresolved, prefix, isAsync) {
+    for (const plugin of hookPlugins.checkArgs) {
+      const found = plugin.checkArgs(args, { Bldr, prefix, unresolved });
+      if (isThenable(found) && !isAsync) {
+        ignoreRejection(found);
+        throw new TypeError(`The ${plugin.name || '(anonymous)'} plugin's checks are async; use buildAsync() instead of build().`);
+      }
+      errors.push(...(isThenable(found) ? [found] : found || []));
+    }
+    for (const param of paramspec) {
+      // Computed defaults never pass through a setter, so are always checked here.
+      // Defaults left unresolved as they read a missing required param go unchecked, as that param is reported.
+      if (unresolved.indexOf(param.name) === -1 && (typeCheck === 'build' || setArgs[param.name] === undefined || asyncChecked[param.name])) {
+        let pending = isAsync ? [] : undefined;
+        try {
+          const err = checkValue(param, args[param.name], prefix, pending);
+          if (err) { errors.push(err) }
+        } finally {
+          if (pending) { errors.push(...pending) }
+        }
       }
-      if (!nullables[requiredParam] && this.args[requiredParam] === null) {
-        throw new NullArgumentError(requiredParam);
+      mapChildren(param, args[param.name], prefix + param.name, (child, path) => {
+        if (isAsync) {
+          errors.push(child[findErrorsAsyncAt](path + '.'));
+        } else {
+          errors.push(...child[findErrorsAt](path + '.'));
+        }
+        return child;
+      });
+    }
+    for (const constraint of constraints) {
+      const paramNames = (constraint.params || []).map(name => prefix + name);
+      const violation = message => message ? new ConstraintViolationError(constraint.rule, paramNames, message) : null;
+      const message = constraint.check(args);
+      if (isThenable(message)) {
+        if (!isAsync) {
+          ignoreRejection(message);
+          throw new TypeError(`The ${constraint.rule} constraint is async; use buildAsync() instead of build().`);
+        }
+        errors.push(message.then(violation));
+      } else if (message) {
+        errors.push(violation(message));
+      }
+    }
+  }
+  // Wait for the async checks in an array from findErrors(), giving the errors found, in order
+  function settleErrors(errors) {
+    return Promise.all(errors).then(results => [].concat(...results).filter(err => err));
+  }
+  // The resolved args of a builder, as transformed by the plugins' beforeBuild hooks.
+  // The params whose defaults were left unresolved are added to the unresolved array.
+  function buildArgs(builder, unresolved) {
+    return transform('beforeBuild', resolveArgs(builder.args, false, unresolved), { Bldr, builder });
+  }
+  function buildArgsAsync(builder, unresolved) {
+    return resolveArgsAsync(builder.args, unresolved).then(args => transform('beforeBuild', args, { Bldr, builder }));
+  }
+  Bldr.prototype[findErrorsAt] = function(prefix) {
+    let unresolved = [];
+    return findErrors(buildArgs(this, unresolved), this.args, unresolved, prefix);
+  };
+  Bldr.prototype[findErrorsAsyncAt] = function(prefix) {
+    let unresolved = [];
+    return buildArgsAsync(this, unresolved)
+      .then(args => settleErrors(findErrors(args, this.args, unresolved, prefix, true)));
+  };
+
+  // Report every problem that would stop build(), as an array of { params, kind, message, error }.
+  // Problems in nested builders are named by their dotted path, e.g. tls.cert
+  Bldr.prototype.validate = function() {
+    return this[findErrorsAt]('').map(reportEntry);
+  };
+  // validate() for builders with async validators, defaults or constraints: a promise of the report
+  Bldr.prototype.validateAsync = function() {
+    return this[findErrorsAsyncAt]('').then(errors => errors.map(reportEntry));
+  };
+
+  // Return to the parent builder, from a nested builder opened by its edit<Name>() or add<ItemName>()
+  Bldr.prototype.done = function() {
+    if (!this[attachToParent]) {
+      throw new Error('done() called on a builder that was not opened from a parent builder');
+    }
+    return this[attachToParent](this);
+  };
+
+  // Copy this builder, including its lists, maps and nested builders, so the copy can be changed independently
+  Bldr.prototype.clone = function() {
+    let copy = Object.create(Object.getPrototypeOf(this));
+    copy.args = Object.create(null);
+    for (const param of paramspec) {
+      if (param.name in this.args) {
+        const val = copyCollection(param, this.args[param.name]);
+        copy.args[param.name] = mapChildren(param, val, param.name, child => child.clone());
       }
     }
+    if (this.extras !== undefined) { copy.extras = Object.assign({}, this.extras) }
+    if (this[attachToParent]) { copy[attachToParent] = this[attachToParent] }
+    return copy;
+  };
+
+  // Apply the record and freeze options to a built object, once the afterBuild hooks are done with it
+  function finishBuilt(built, args) {
+    if (options.record) { built = makeRecord(Bldr, built, namedArgs(args, paramspec)) }
+    if (!options.record && !options.freeze && !cache) { return built }
+    const collections = paramspec.filter(param => collectionKind(param) && args[param.name] !== undefined &&
+      args[param.name] !== null).map(param => args[param.name]);
+    // Cached objects are only frozen themselves, along with the collections copied for them
+    return freezeBuilt(built, collections, !!(options.record || options.freeze));
+  }
+  // The cache key for a builder's args: a copy of them, with each nested builder as a tagged array of its class
+  // and args, which no plain value matches, and the values of params with a cacheKey function replaced by its result
+  function cacheKeyOf(builder) {
+    const childKey = child => [nestedBuilderTag, child.constructor, child[cacheKeyAt]()];
+    let key = argsToObject(builder.args, param => param.name, childKey, false);
+    for (const param of paramspec) {
+      if (param.cacheKey !== undefined && param.name in key) { key[param.name] = param.cacheKey(key[param.name]) }
+    }
+    return key;
+  }
+  Bldr.prototype[cacheKeyAt] = function() {
+    return cacheKeyOf(this);
+  };
+  // Cache mode statistics: the number of entries, the max kept, and the hits, misses and evictions so far
+  Bldr.cacheStats = function() {
+    return cache ? cache.stats() : undefined;
+  };
+  // Empty the cache and reset its statistics
+  Bldr.clearCache = function() {
+    if (cache) { cache.clear() }
+  };
+  function throwErrors(errors) {
+    if (errors.length) {
+      throw options.collectErrors ? new BuilderValidationError(errors.map(reportEntry)) : errors[0];
+    }
+  }
+  Bldr.prototype.build = function() {
+    if (!cache) { return buildUncached(this) }
+    const key = cacheKeyOf(this);
+    const hash = hashValue(key);
+    let built = cache.get(key, hash);
+    if (built === undefined) {
+      built = buildUncached(this);
+      cache.set(key, hash, built);
+    }
+    return built;
+  };
+  function buildUncached(builder) {
+    let unresolved = [];
+    let args = buildArgs(builder, unresolved);
+    throwErrors(findErrors(args, builder.args, unresolved, ''));
+    // Built objects get their own copies of lists and maps, so later changes to the builder don't leak into them
+    for (const param of paramspec) {
+      const val = copyCollection(param, args[param.name]);
+      args[param.name] = mapChildren(param, val, param.name, child => child.build());
+    }
+
+    const built = construct(args);
+    if (isThenable(built) && invoke === 'call') {
+      throw new TypeError('The factory function is async; use buildAsync() instead of build().');
+    }
+    return finishBuilt(transform('afterBuild', built, { Bldr, builder, args }), args);
+  }
+
+  // Build asynchronously, awaiting async defaults, validators, constraints and validate hooks,
+  // nested builders' buildAsync(), and an async factory function. Rejects with the errors build() throws.
+  Bldr.prototype.buildAsync = async function() {
+    if (!cache) { return buildAsyncUncached(this) }
+    const key = cacheKeyOf(this);
+    const hash = hashValue(key);
+    let built = cache.get(key, hash);
+    if (built === undefined) {
+      built = await buildAsyncUncached(this);
+      cache.set(key, hash, built);
+    }
+    return built;
+  };
+  async function buildAsyncUncached(builder) {
+    let unresolved = [];
+    let args = await buildArgsAsync(builder, unresolved);
+    throwErrors(await settleErrors(findErrors(args, builder.args, unresolved, '', true)));
+    // Nested builders are built in parallel, then put in place of the builders in copies of the collections
+    let children = new Map();
+    for (const param of paramspec) {
+      mapChildren(param, args[param.name], param.name, child => children.set(child, child.buildAsync()));
+    }
+    const builtChildren = await Promise.all(children.values());
+    Array.from(children.keys()).forEach((child, i) => children.set(child, builtChildren[i]));
+    for (const param of paramspec) {
+      const val = copyCollection(param, args[param.name]);
+      args[param.name] = mapChildren(param, val, param.name, child => children.get(child));
+    }
+
+    const built = transform('afterBuild', await construct(args), { Bldr, builder, args });
+    return finishBuilt(built, args);
+  }
+
+  // Collect the given params' args into an object, leaving out any that are undefined
+  function namedArgs(args, params) {
+    let named = {};
+    for (const param of params) {
+      if (args[param.name] !== undefined) { named[param.name] = args[param.name] }
+    }
+    return named;
+  }
+  function construct(args) {
+    if (invoke === 'none') { return namedArgs(args, paramspec) }
 
     let argsList = [];
-    for (const param of paramspec) { argsList.push(this.args[param.name]) }
-    return invokeCnstr(cnstr, argsList);
+    if (argStyle === 'named') {
+      for (const param of paramspec) {
+        if (param.isPositional) { argsList.push(args[param.name]) }
+      }
+      argsList.push(namedArgs(args, paramspec.filter(param => !param.isPositional)));
+    } else {
+      for (const param of paramspec) { argsList.push(args[param.name]) }
+    }
+    return invoke === 'call' ? cnstr.apply(undefined, argsList) : invokeCnstr(cnstr, argsList);
+  }
+
+  // Convert plain data for a nested builder param, or for the items of a list or map param, into nested builders
+  function nestedFrom(param, val, fromOptions) {
+    if (param.builder === undefined) { return val }
+    const convert = item => isPlainObject(item) ? param.builder.from(item, fromOptions) : item;
+    const kind = collectionKind(param);
+    if (kind) { return val !== null && kind.inputEntries(val, param) ? kind.mapItems(val, convert, param) : val }
+    return convert(val);
+  }
+
+  // Create a builder populated from a plain object, such as parsed JSON. Keys may be param names,
+  // serialized keys or aliases. fromOptions.unknownKeys overrides the builder's unknownKeys option.
+  Bldr.from = function(obj, fromOptions) {
+    if (obj === null || typeof(obj) !== 'object') {
+      throw new TypeError('from() requires an object.');
+    }
+    fromOptions = Object.assign({ unknownKeys: unknownKeys }, fromOptions);
+    let builder = emptyBuilder(Bldr);
+    let extras = {};
+    for (const key of Object.keys(obj)) {
+      const param = paramsByKey[key];
+      if (deprecatedKeys[key] && obj[key] !== undefined) { warnDeprecated(...deprecatedKeys[key]) }
+      if (!param) {
+        if (fromOptions.unknownKeys === 'throw') { throw new UnknownParameterError(key) }
+        extras[key] = obj[key];
+      } else if (obj[key] !== undefined) {
+        builder = setters[param.name].call(builder, nestedFrom(param, copyCollection(param, obj[key]), fromOptions));
+      }
+    }
+    if (fromOptions.unknownKeys === 'collect') { builder.extras = extras }
+    return builder;
+  };
+
+  // Create a builder populated from the properties of a built object, named after the params.
+  // Nested built objects are kept as they are.
+  Bldr.fromInstance = function(instance) {
+    if (instance === null || typeof(instance) !== 'object') {
+      throw new TypeError('fromInstance() requires an object.');
+    }
+    let builder = emptyBuilder(Bldr);
+    for (const param of paramspec) {
+      const val = instance[param.name];
+      if (val !== undefined) {
+        builder = setters[param.name].call(builder, copyCollection(param, val));
+      }
+    }
+    return builder;
+  };
+
+  // Convert the explicitly set args to a plain object, with nested builders converted by convertChild
+  // and, when forJSON, Sets and Maps converted to arrays of items and of [key, value] entries
+  function argsToObject(args, keyOf, convertChild, forJSON) {
+    let obj = {};
+    for (const param of paramspec) {
+      let val = mapChildren(param, copyCollection(param, args[param.name]), param.name, convertChild);
+      const kind = collectionKind(param);
+      if (forJSON && kind && val !== undefined && val !== null) { val = kind.toJSON(val) }
+      if (val !== undefined) { obj[keyOf(param)] = val }
+    }
+    return obj;
+  }
+  // The args set on this builder, keyed by param name
+  Bldr.prototype.toObject = function() {
+    return argsToObject(this.args, param => param.name, child => child.toObject(), false);
+  };
+  // The args set on this builder, keyed by each param's serialized key (its name by default).
+  // Bldr.from(JSON.parse(JSON.stringify(builder))) recreates the builder.
+  Bldr.prototype.toJSON = function() {
+    return argsToObject(this.args, param => param.key || param.name, child => child.toJSON(), true);
+  };
+
+  // Create a builder class for a subclass, inheriting this builder's params, cnstr (unless given) and options.
+  // Instances of the new builder class are also instances of this one.
+  Bldr.extend = function(additions, subCnstr, subOptions) {
+    if (!isArray(additions)) {
+      throw new TypeError('extend() requires an array of parameter specifications as first argument.');
+    }
+    const Sub = Builder(
+      mergeParamSpecs(paramspec, additions),
+      subCnstr === undefined ? cnstr : subCnstr,
+      mergeOptions(options, subOptions || {})
+    );
+    Object.setPrototypeOf(Sub, Bldr);
+    Object.setPrototypeOf(Sub.prototype, Bldr.prototype);
+    for (const methodName of paramMethods) {
+      if (!Sub.prototype.hasOwnProperty(methodName)) { Sub.prototype[methodName] = undefined }
+    }
+    return Sub;
   };
 
   return Bldr;
@@ -123,4 +1720,29 @@ function Builder(paramspec, cnstr) {
 Builder.ParamSpecTypeError = ParamSpecTypeError;
 Builder.MissingArgumentError = MissingArgumentError;
 Builder.NullArgumentError = NullArgumentError;
+Builder.InvalidArgumentError = InvalidArgumentError;
+Builder.ConstraintViolationError = ConstraintViolationError;
+Builder.BuilderValidationError = BuilderValidationError;
+Builder.UnknownParameterError = UnknownParameterError;
+Builder.DuplicateItemError = DuplicateItemError;
+///// Exports: helpers
+Builder.isBuilderClass = isBuilderClass;
+///// Exports: plugins
+// Register a plugin for every builder class defined from now on
+Builder.use = function(plugin) {
+  if (globalPlugins.indexOf(checkPlugin(plugin)) === -1) { globalPlugins.push(plugin) }
+  return Builder;
+};
+// Unregister a plugin, for builder classes defined from now on
+Builder.unuse = function(plugin) {
+  globalPlugins = globalPlugins.filter(registered => registered !== plugin);
+  return Builder;
+};
+Builder.requiredPlugin = requiredPlugin;
+// The default logger for deprecation warnings
+Builder.logger = console;
+///// Exports: constraint helpers
+Builder.oneOf = oneOf;
+Builder.allOrNone = allOrNone;
+Builder.requiresIf = requiresIf;
 module.exports = Builder;
@@ -0,0 +1,276 @@
+'use strict';
+// Configure builders from command-line arguments and environment variables, and describe their flags as usage text.
+const Builder = require('./builder');
+const InvalidArgumentError = Builder.InvalidArgumentError;
+const UnknownParameterError = Builder.UnknownParameterError;
+const isBuilderClass = Builder.isBuilderClass;
+
+///// Helper Functions /////
+function toKebabCase(str) {
+  return str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+}
+function toEnvName(str) {
+  return str.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]/g, '_').toUpperCase();
+}
+function isCollection(param) {
+  return param.isList || param.isMap || param.isSet;
+}
+// Params whose own params are configured by dotted flags, e.g. --tls.cert
+function isNested(param) {
+  return param.builder !== undefined && !isCollection(param);
+}
+
+///// Coercion /////
+const booleanStrings = { true: true, false: false, yes: true, no: false, on: true, off: false, 1: true, 0: false };
+// Convert a string from argv or env to a declared type, naming the param by path in errors.
+// Untyped values, and those of types with no string form, are left as strings for the builder to check.
+function coerce(path, type, str) {
+  if (type === 'number') {
+    const num = Number(str);
+    if (str.trim() === '' || isNaN(num)) { throw new InvalidArgumentError(path, str, 'expected a number') }
+    return num;
+  }
+  if (type === 'boolean') {
+    const bool = booleanStrings.hasOwnProperty(str.toLowerCase()) ? booleanStrings[str.toLowerCase()] : undefined;
+    if (bool === undefined) { throw new InvalidArgumentError(path, str, 'expected a boolean') }
+    return bool;
+  }
+  if (type === 'bigint') {
+    try {
+      return BigInt(str);
+    } catch (err) {
+      throw new InvalidArgumentError(path, str, 'expected an integer');
+    }
+  }
+  if (type === 'object' || type === 'array') {
+    try {
+      return JSON.parse(str);
+    } catch (err) {
+      throw new InvalidArgumentError(path, str, 'expected JSON');
+    }
+  }
+  if (type === Date) {
+    const date = new Date(str);
+    if (isNaN(date.getTime())) { throw new InvalidArgumentError(path, str, 'expected a date') }
+    return date;
+  }
+  return str;
+}
+// A map item given as key=value
+function coerceEntry(path, type, str) {
+  const separator = str.indexOf('=');
+  if (separator <= 0) { throw new InvalidArgumentError(path, str, 'expected key=value') }
+  const key = str.slice(0, separator);
+  return [key, coerce(`${path}.${key}`, type, str.slice(separator + 1))];
+}
+
+///// Flags /////
+// Every flag a builder class accepts, by flag name without the leading dashes: each param's kebab-case name
+// and aliases, a collection's item name, --no-<name> for booleans, and dotted flags for nested builders' params.
+// Each flag maps to { param, path, negate }, where path is the dotted param path, e.g. tls.cert
+function flagTable(Bldr, flagPrefix, pathPrefix, table) {
+  for (const param of Bldr.spec) {
+    const path = pathPrefix + param.name;
+    if (isNested(param)) {
+      flagTable(param.builder, `${flagPrefix}${toKebabCase(param.name)}.`, path + '.', table);
+      continue;
+    }
+    let names = [param.name].concat(param.aliases.map(alias => alias.name));
+    if (isCollection(param) && param.itemName !== param.name) { names.unshift(param.itemName) }
+    for (const name of names) {
+      table[flagPrefix + toKebabCase(name)] = { param, path, negate: false };
+      if (param.type === 'boolean') {
+        table[`${flagPrefix}no-${toKebabCase(name)}`] = { param, path, negate: true };
+      }
+    }
+  }
+  return table;
+}
+// The env var names for a builder class's params, by dotted param path
+function envTable(Bldr, envPrefix, pathPrefix, table) {
+  for (const param of Bldr.spec) {
+    const path = pathPrefix + param.name;
+    if (isNested(param)) {
+      envTable(param.builder, `${envPrefix}${toEnvName(param.name)}_`, path + '.', table);
+    } else {
+      table[path] = { param, name: envPrefix + toEnvName(param.name) };
+    }
+  }
+  return table;
+}
+
+///// Parsing /////
+// Values are collected by dotted param path (in objects without prototypes, as are flag tables, so that flags
+// such as --constructor are unknown), as { value } for a scalar param, or { items } for a collection,
+// where a map's items are [key, value] entries
+function collect(values, param, path, str, fromEnv) {
+  if (param.isMap) {
+    // Env vars hold all of a map's entries, separated by commas
+    const entries = fromEnv ? str.split(',').filter(entry => entry.trim() !== '') : [str];
+    values[path].items.push(...entries.map(entry => coerceEntry(path, param.itemType, entry.trim())));
+  } else if (isCollection(param)) {
+    // As do lists and sets
+    const items = fromEnv ? str.split(',').map(item => item.trim()).filter(item => item !== '') : [str];
+    values[path].items.push(...items.map((item, i) => coerce(`${path}.${values[path].items.length + i}`, param.itemType, item)));
+  } else {
+    values[path] = { value: coerce(path, param.type, str) };
+  }
+}
+function parseEnv(Bldr, env, envPrefix) {
+  let values = Object.create(null);
+  const table = envTable(Bldr, envPrefix, '', Object.create(null));
+  for (const path of Object.keys(table)) {
+    const str = env[table[path].name];
+    if (str === undefined) { continue }
+    const param = table[path].param;
+    if (isCollection(param)) { values[path] = { items: [] } }
+    collect(values, param, path, str, true);
+  }
+  return values;
+}
+function parseArgv(Bldr, argv, unknownKeys, extras) {
+  let values = Object.create(null);
+  const table = flagTable(Bldr, '', '', Object.create(null));
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--' || !arg.startsWith('--')) {
+      // Arguments after -- are never flags
+      const positionals = arg === '--' ? argv.slice(i + 1) : [arg];
+      if (unknownKeys === 'throw' && positionals.length) {
+        throw new TypeError(`Unexpected argument ${JSON.stringify(positionals[0])}.`);
+      }
+      if (unknownKeys === 'collect') { extras._ = (extras._ || []).concat(positionals) }
+      if (arg === '--') { break }
+      continue;
+    }
+    const separator = arg.indexOf('=');
+    const flag = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const inline = separator === -1 ? undefined : arg.slice(separator + 1);
+    const entry = table[flag];
+    if (!entry) {
+      if (unknownKeys === 'throw') { throw new UnknownParameterError(`--${flag}`) }
+      if (unknownKeys === 'collect') { extras[flag] = inline === undefined ? true : inline }
+      continue;
+    }
+    const param = entry.param;
+    let str = inline;
+    if (param.type === 'boolean' && str === undefined) {
+      str = String(!entry.negate);
+    } else if (str === undefined) {
+      if (i + 1 === argv.length) { throw new InvalidArgumentError(entry.path, undefined, `--${flag} requires a value`) }
+      str = argv[++i];
+    } else if (entry.negate) {
+      throw new InvalidArgumentError(entry.path, str, `--${flag} takes no value`);
+    }
+    // Flags given on the command line replace any values from env vars, and repeated flags add collection items
+    if (isCollection(param) && !(values[entry.path] && values[entry.path].fromArgv)) {
+      values[entry.path] = { items: [], fromArgv: true };
+    }
+    collect(values, param, entry.path, str, false);
+  }
+  return values;
+}
+
+// Create a builder of a builder class configured by the values collected for it, using its setters and adders
+function configure(Bldr, values, pathPrefix) {
+  let builder = Bldr.from({});
+  for (const param of Bldr.spec) {
+    const path = pathPrefix + param.name;
+    const methods = param.methods;
+    if (isNested(param)) {
+      if (Object.keys(values).some(key => key.startsWith(path + '.'))) {
+        builder = builder[methods.set](configure(param.builder, values, path + '.'));
+      }
+    } else if (values[path] && values[path].items) {
+      for (const item of values[path].items) {
+        builder = param.isMap ? builder[methods.add](item[0], item[1]) : builder[methods.add](item);
+      }
+    } else if (values[path]) {
+      builder = builder[methods.set](values[path].value);
+    }
+  }
+  return builder;
+}
+
+///// Usage Text /////
+function placeholder(param) {
+  const type = isCollection(param) ? param.itemType : param.type;
+  const typeText = type === undefined ? 'value' : typeof(type) === 'string' ? type : type.name.toLowerCase();
+  return param.isMap ? `<key=${typeText}>` : `<${typeText}>`;
+}
+function usageLines(Bldr, flagPrefix, envNames, options) {
+  let lines = [];
+  for (const param of Bldr.spec) {
+    if (isNested(param)) {
+      lines.push(...usageLines(param.builder, `${flagPrefix}${toKebabCase(param.name)}.`, envNames, options));
+      continue;
+    }
+    let names = [param.name].concat(param.aliases.map(alias => alias.name));
+    if (isCollection(param) && param.itemName !== param.name) { names.unshift(param.itemName) }
+    let flags = names.map(name => `--${flagPrefix}${toKebabCase(name)}`);
+    if (param.type === 'boolean') {
+      flags = flags.concat(names.map(name => `--${flagPrefix}no-${toKebabCase(name)}`));
+    }
+    let notes = [];
+    if (param.isRequired && param.default === undefined) { notes.push('required') }
+    if (param.default !== undefined && typeof(param.default) !== 'function') {
+      notes.push(`default: ${JSON.stringify(param.default)}`);
+    }
+    if (isCollection(param)) { notes.push('repeatable') }
+    if (param.deprecated) { notes.push('deprecated') }
+    if (options.envPrefix !== undefined) { notes.push(`env ${envNames.shift()}`) }
+    const description = [param.description, notes.length ? `(${notes.join('; ')})` : '']
+      .filter(text => text).join(' ');
+    lines.push([flags.join(', ') + (param.type === 'boolean' ? '' : ' ' + placeholder(param)), description]);
+  }
+  return lines;
+}
+
+///// Exports /////
+// Create a builder configured from command-line arguments and, if options.envPrefix is given, environment
+// variables. Options:
+//   argv - the arguments (process.argv.slice(2) by default): --host example.com or --host=example.com for each
+//          param, --<item-name> (repeatable) for collections, --label key=value for maps, --verbose and
+//          --no-verbose for booleans, and --tls.cert for the params of a nested builder
+//   env - the environment variables (process.env by default)
+//   envPrefix - prefix of the env var for each param, e.g. 'APP_' for APP_HOST and APP_TLS_CERT; collection
+//               items are separated by commas. Flags override env vars.
+//   unknownKeys - what to do with unknown flags and arguments that are not flags: 'throw', 'ignore' or 'collect'
+//                 into the builder's extras object (arguments under extras._); the builder's unknownKeys by default
+// Values are converted to each param's declared type. Missing required params are reported by build().
+function fromCommandLine(Bldr, options) {
+  if (!isBuilderClass(Bldr)) {
+    throw new TypeError('fromCommandLine() requires a builder class created by Builder().');
+  }
+  options = options || {};
+  const unknownKeys = options.unknownKeys || Bldr.options.unknownKeys;
+  let extras = Object.create(null);
+  const argvValues = parseArgv(Bldr, options.argv || process.argv.slice(2), unknownKeys, extras);
+  const envValues = options.envPrefix === undefined ? Object.create(null) :
+    parseEnv(Bldr, options.env || process.env, options.envPrefix);
+  let builder = configure(Bldr, Object.assign(envValues, argvValues), '');
+  if (unknownKeys === 'collect') { builder.extras = extras }
+  return builder;
+}
+// Usage text listing the flags of a builder class, with each param's description, whether it is required,
+// its default, and its env var if options.envPrefix is given. options.command names the command.
+function usage(Bldr, options) {
+  if (!isBuilderClass(Bldr)) {
+    throw new TypeError('usage() requires a builder class created by Builder().');
+  }
+  options = options || {};
+  let envNames = [];
+  if (options.envPrefix !== undefined) {
+    const table = envTable(Bldr, options.envPrefix, '', Object.create(null));
+    envNames = Object.keys(table).map(path => table[path].name);
+  }
+  const lines = usageLines(Bldr, '', envNames, options);
+  const width = Math.max(0, ...lines.map(line => line[0].length)) + 2;
+  let text = `Usage: ${options.command || 'command'} [options]\n`;
+  if (lines.length) {
+    text += '\nOptions:\n' + lines.map(line => `  ${line[0].padEnd(width)}${line[1]}`.trimRight()).join('\n') + '\n';
+  }
+  return text;
+}
+
+module.exports = { fromCommandLine, usage };
@@ -0,0 +1,306 @@
+'use strict';
+// Generate TypeScript declarations for the builder classes that Builder() creates at runtime.
+// Each generated builder class tracks which params have been set in a type parameter, so that
+// calling build() before every required param is set is a compile error.
+const Builder = require('./builder');
+const isBuilderClass = Builder.isBuilderClass;
+
+///// Helper Functions /////
+function isIdentifier(str) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(str);
+}
+// Words that are valid property names, but not names of parameters or declared classes and consts
+const reservedWords = [
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import',
+  'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public', 'return',
+  'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  // TypeScript's predefined types
+  'any', 'bigint', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'undefined', 'unknown'
+];
+function isBindingName(str) {
+  return isIdentifier(str) && reservedWords.indexOf(str) === -1;
+}
+// A property or method name, quoted if it is not a valid identifier
+function propertyName(name) {
+  return isIdentifier(name) ? name : JSON.stringify(name);
+}
+// A doc comment marking the declaration after it as deprecated, with the reason if given
+function deprecatedDoc(deprecated) {
+  const reason = typeof(deprecated) === 'string' ? ' ' + deprecated.replace(/\*\//g, '* /') : '';
+  return `  /** @deprecated${reason} */`;
+}
+// A union of string literal types, e.g. 'host' | 'port'
+function literalUnion(names) {
+  return names.length ? names.map(name => JSON.stringify(name)).join(' | ') : 'never';
+}
+
+///// Type Mapping /////
+const primitiveTypes = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  symbol: 'symbol',
+  bigint: 'bigint',
+  function: '(...args: any[]) => any',
+  object: 'object',
+  array: 'any[]'
+};
+// The TypeScript type for a declared param type. Constructors map to `any`, since their
+// declarations are not known here; set tsType or itemTsType in the param spec to be more precise.
+function declaredType(type) {
+  return typeof(type) === 'string' ? primitiveTypes[type] : 'any';
+}
+
+// Builder classes with invoke 'none' build plain objects of their args, declared by an interface
+function buildsArgs(Bldr) {
+  return !Bldr.options.tsType && Bldr.options.invoke === 'none';
+}
+
+// The TypeScript types for a builder's params, and how to refer to other builders
+class DeclarationContext {
+  constructor(builderNames) {
+    this.builderNames = builderNames; // Map of builder class -> exported name
+  }
+  // How to refer to a nested builder class; `any` if it is not exported by the same module
+  builderType(Bldr, typeArgs) {
+    const name = this.builderNames.get(Bldr);
+    return name ? `${name}<${typeArgs}>` : 'any';
+  }
+  // The type a builder class's build() returns
+  builtType(Bldr) {
+    const name = this.builderNames.get(Bldr);
+    if (Bldr.options.tsType) { return Bldr.options.tsType }
+    if (!name || !buildsArgs(Bldr)) { return 'any' }
+    // Frozen results and records are read-only, and records have value-object methods
+    if (Bldr.options.record) {
+      return `Readonly<${name}Built> & { equals(other: unknown): boolean; hashCode(): number; toBuilder(): ${name}<string> }`;
+    }
+    return Bldr.options.freeze ? `Readonly<${name}Built>` : `${name}Built`;
+  }
+  // A value, or a nested builder for it, when the param has one
+  nestedType(param, type, declared) {
+    if (!param.builder) { return type }
+    if (declared === undefined) { type = this.builtType(param.builder) }
+    return `${type} | ${this.builderType(param.builder, 'string')}`;
+  }
+  itemType(param) {
+    return param.itemTsType || this.nestedType(param, declaredType(param.itemType), param.itemType);
+  }
+  // A value as build() gives it, with a nested builder built
+  builtNestedType(param, type, declared) {
+    return param.builder && declared === undefined ? this.builtType(param.builder) : type;
+  }
+  builtItemType(param) {
+    return param.itemTsType || this.builtNestedType(param, declaredType(param.itemType), param.itemType);
+  }
+  // The type of a map param's keys
+  keyType(param) {
+    return param.mapType === 'Map' ? 'any' : 'string';
+  }
+  // The type accepted by a param's setter
+  valueType(param) {
+    let type;
+    if (param.tsType) {
+      type = param.tsType;
+    } else if (param.isList) {
+      type = `Array<${this.itemType(param)}>`;
+    } else if (param.isSet) {
+      type = `Set<${this.itemType(param)}> | Array<${this.itemType(param)}>`;
+    } else if (param.isMap && param.mapType === 'Map') {
+      const item = this.itemType(param);
+      type = `Map<any, ${item}> | { [key: string]: ${item} } | Array<[any, ${item}]>`;
+    } else if (param.isMap) {
+      type = `{ [key: string]: ${this.itemType(param)} }`;
+    } else {
+      type = this.nestedType(param, declaredType(param.type), param.type);
+    }
+    return param.isNullable ? `${type} | null` : type;
+  }
+  // The type of a param in the object build() gives, for builder classes with invoke 'none'
+  builtValueType(param) {
+    let type;
+    if (param.tsType) {
+      type = param.tsType;
+    } else if (param.isList) {
+      type = `Array<${this.builtItemType(param)}>`;
+    } else if (param.isSet) {
+      type = `Set<${this.builtItemType(param)}>`;
+    } else if (param.isMap && param.mapType === 'Map') {
+      type = `Map<any, ${this.builtItemType(param)}>`;
+    } else if (param.isMap) {
+      type = `{ [key: string]: ${this.builtItemType(param)} }`;
+    } else {
+      type = this.builtNestedType(param, declaredType(param.type), param.type);
+    }
+    return param.isNullable ? `${type} | null` : type;
+  }
+}
+
+///// Declarations /////
+// An interface with a property for each param, of the type given by typeOf
+function paramsInterface(name, spec, typeOf) {
+  let lines = [`export interface ${name} {`];
+  for (const param of spec) {
+    const optional = param.isRequired ? '' : '?';
+    lines.push(`  ${propertyName(param.name)}${optional}: ${typeOf(param)};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function builderClass(name, Bldr, context) {
+  const spec = Bldr.spec;
+  const argsName = `${name}Args`;
+  // Params that must be set before build(); those with defaults never need to be
+  const required = spec.filter(param => param.isRequired && param.default === undefined).map(param => param.name);
+  const withAssigned = paramName => `${name}<Assigned | ${JSON.stringify(paramName)}>`;
+  const returnType = context.builtType(Bldr);
+
+  // A staged builder class is declared under a local name, as TypeScript classes cannot declare that the
+  // constructor returns something else (the first stage); see stagedExports()
+  const staged = Bldr.options.staged && required.length > 0;
+  let lines = staged ? [`declare class _${name}<Assigned extends string = never> {`] :
+    [`export declare class ${name}<Assigned extends string = never> {`];
+  lines.push(`  static spec: ReadonlyArray<any>;`);
+  lines.push(`  static options: any;`);
+  lines.push(`  static plugins: ReadonlyArray<object>;`);
+  lines.push(`  static describe(): { params: any[]; options: object; constraints: Array<{ rule: string; params: string[] }> };`);
+  lines.push(`  static cacheStats(): { size: number; max: number; hits: number; misses: number; evictions: number } | undefined;`);
+  lines.push(`  static clearCache(): void;`);
+  lines.push(`  static from(obj: object, options?: { unknownKeys?: 'throw' | 'ignore' | 'collect' }): ${name}<string>;`);
+  lines.push(`  static fromInstance(instance: object): ${name}<string>;`);
+  lines.push(`  static extend(additions: any[], cnstr?: Function | null, options?: object): any;`);
+  lines.push(`  args: Partial<${argsName}>;`);
+  for (const param of spec) {
+    const methods = param.methods;
+    const arg = isBindingName(param.name) ? param.name : 'value';
+    let methodLines = [];
+    const setter = methodName => `  ${propertyName(methodName)}(${arg}: ${context.valueType(param)}): ${withAssigned(param.name)};`;
+    methodLines.push(setter(methods.set));
+    if (methods.add) {
+      const keyType = context.keyType(param);
+      const keyArg = param.isMap ? `key: ${keyType}, ` : '';
+      const item = context.itemType(param);
+      methodLines.push(`  ${propertyName(methods.add)}(${keyArg}item: ${item}): ${withAssigned(param.name)};`);
+      if (param.builder) {
+        const child = context.builderType(param.builder, 'never');
+        methodLines.push(`  ${propertyName(methods.add)}(${keyArg}configure: (builder: ${child}) => unknown): ${withAssigned(param.name)};`);
+        methodLines.push(`  ${propertyName(methods.add)}(${param.isMap ? `key: ${keyType}` : ''}): ${child};`);
+      }
+      // Lists and sets remove items by value; maps and keyed lists by key
+      const removed = param.isMap ? `key: ${keyType}` : param.keyBy !== undefined ? 'key: any' : `item: ${item}`;
+      methodLines.push(`  ${propertyName(methods.remove)}(${removed}): this;`);
+      methodLines.push(`  ${propertyName(methods.has)}(${removed}): boolean;`);
+      methodLines.push(`  ${propertyName(methods.clear)}(): ${withAssigned(param.name)};`);
+      methodLines.push(`  ${propertyName(methods.addAll)}(items: ${context.valueType(Object.assign({}, param, { isNullable: false }))}): ${withAssigned(param.name)};`);
+    }
+    if (methods.edit) {
+      const child = context.builderType(param.builder, 'never');
+      methodLines.push(`  ${propertyName(methods.edit)}(configure: (builder: ${child}) => unknown): ${withAssigned(param.name)};`);
+      methodLines.push(`  ${propertyName(methods.edit)}(): ${child};`);
+    }
+    // Every method of a deprecated param is marked deprecated, as are the setters of deprecated aliases
+    for (const line of methodLines) {
+      if (param.deprecated) { lines.push(deprecatedDoc(param.deprecated)) }
+      lines.push(line);
+    }
+    for (const alias of param.aliases || []) {
+      if (param.deprecated || alias.deprecated) { lines.push(deprecatedDoc(param.deprecated || alias.deprecated)) }
+      lines.push(setter(alias.method));
+    }
+  }
+  const report = 'Array<{ params: string[]; kind: string; message: string; error: Error }>';
+  lines.push(`  validate(): ${report};`);
+  lines.push(`  validateAsync(): Promise<${report}>;`);
+  lines.push(`  outstanding(): string[];`);
+  lines.push(`  isSet(name: keyof ${argsName}): boolean;`);
+  lines.push(`  unset(name: keyof ${argsName}): ${name}<string>;`);
+  lines.push(`  missing(): string[];`);
+  lines.push(`  reset(): ${name}<never>;`);
+  lines.push(`  clone(): this;`);
+  lines.push(`  done(): any;`);
+  lines.push(`  toObject(): Partial<${argsName}>;`);
+  lines.push(`  toJSON(): object;`);
+  if (required.length) {
+    // Not callable (type never) until Assigned includes every required param
+    const whenAssigned = `[Exclude<${literalUnion(required)}, Assigned>] extends [never]`;
+    lines.push(`  build: ${whenAssigned} ? () => ${returnType} : never;`);
+    lines.push(`  buildAsync: ${whenAssigned} ? () => Promise<${returnType}> : never;`);
+  } else {
+    lines.push(`  build(): ${returnType};`);
+    lines.push(`  buildAsync(): Promise<${returnType}>;`);
+  }
+  lines.push('}');
+  if (staged) { lines.push('', stagedExports(name, Bldr, context)) }
+  return lines.join('\n');
+}
+// For a staged builder class: an interface for each stage, offering the setters (including aliases) of one
+// required param, and the builder class as a type and as a value whose constructor returns the first stage
+function stagedExports(name, Bldr, context) {
+  const stagedParams = Bldr.spec.filter(param => param.isRequired && param.default === undefined);
+  let declarations = stagedParams.map((param, index) => {
+    const arg = isBindingName(param.name) ? param.name : 'value';
+    const next = index + 1 < stagedParams.length ? `${name}Stage${index + 2}` :
+      `${name}<${literalUnion(stagedParams.map(staged => staged.name))}>`;
+    let lines = [`export interface ${name}Stage${index + 1} {`];
+    const setters = [{ method: param.methods.set, deprecated: false }].concat(param.aliases || []);
+    for (const setter of setters) {
+      if (param.deprecated || setter.deprecated) { lines.push(deprecatedDoc(param.deprecated || setter.deprecated)) }
+      lines.push(`  ${propertyName(setter.method)}(${arg}: ${context.valueType(param)}): ${next};`);
+    }
+    lines.push(`  outstanding(): string[];`);
+    lines.push('}');
+    return lines.join('\n');
+  });
+  declarations.push(`export type ${name}<Assigned extends string = never> = _${name}<Assigned>;`);
+  // Picking the static members leaves out the class's own construct signature
+  declarations.push(`export declare const ${name}: Pick<typeof _${name}, keyof typeof _${name}> & { new(): ${name}Stage1 };`);
+  return declarations.join('\n\n');
+}
+
+// Generate the declarations for a module's exports, describing each exported builder class.
+// Other exports are declared as `any`, so the declarations can stand in for the whole module.
+// Exports named by reserved words, such as `default`, are declared under a local name prefixed with _,
+// and exported by an export clause.
+function generateDeclarations(moduleExports, options) {
+  options = options || {};
+  if (moduleExports === null || typeof(moduleExports) !== 'object' || isBuilderClass(moduleExports)) {
+    throw new TypeError('generateDeclarations() requires a module exports object whose properties are builder classes.');
+  }
+  const names = Object.keys(moduleExports).filter(isIdentifier);
+  const localName = name => isBindingName(name) ? name : '_' + name;
+  let builderNames = new Map();
+  for (const name of names) {
+    if (isBuilderClass(moduleExports[name]) && !builderNames.has(moduleExports[name])) {
+      builderNames.set(moduleExports[name], localName(name));
+    }
+  }
+  const context = new DeclarationContext(builderNames);
+
+  let declarations = [`// Generated by builder-dts${options.source ? ' from ' + options.source : ''}. Do not edit.`];
+  let renamed = [];
+  for (const name of names) {
+    const val = moduleExports[name];
+    const local = localName(name);
+    const exported = local === name ? 'export ' : '';
+    if (local !== name) { renamed.push(`${local} as ${name}`) }
+    if (isBuilderClass(val)) {
+      // The args the setters take, and for builder classes with invoke 'none', the object build() gives
+      declarations.push(paramsInterface(`${local}Args`, val.spec, param => context.valueType(param)));
+      if (buildsArgs(val)) {
+        declarations.push(paramsInterface(`${local}Built`, val.spec, param => context.builtValueType(param)));
+      }
+      // Staged builder classes are exported as a type and a const
+      declarations.push(builderClass(local, val, context)
+        .replace(new RegExp(`^export (declare class|type|declare const) ${local}\\b`, 'gm'), `${exported}$1 ${local}`));
+    } else {
+      declarations.push(`${exported}declare const ${local}: any;`);
+    }
+  }
+  if (renamed.length) { declarations.push(`export { ${renamed.join(', ')} };`) }
+  return declarations.join('\n\n') + '\n';
+}
+
+module.exports = generateDeclarations;
+module.exports.generateDeclarations = generateDeclarations;
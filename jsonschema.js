@@ -0,0 +1,301 @@
+'use strict';
+// Convert between JSON Schema (draft-07 object schemas) and Builder param specs.
+const Builder = require('./builder');
+const ParamSpecTypeError = Builder.ParamSpecTypeError;
+const isBuilderClass = Builder.isBuilderClass;
+
+///// Helper Functions /////
+// True for the values that are objects in JSON, as opposed to arrays and null
+function isJSONObject(obj) {
+  return obj !== null && typeof(obj) === 'object' && !Array.isArray(obj);
+}
+// Give a validator a descriptive name, which appears in InvalidArgumentError messages
+function namedValidator(name, fn) {
+  Object.defineProperty(fn, 'name', { value: name });
+  return fn;
+}
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+///// JSON Schema -> Param Spec /////
+// Keywords that only annotate a schema
+const annotations = ['$schema', '$id', '$comment', 'title', 'description', 'examples', 'readOnly', 'writeOnly', 'deprecated'];
+// Keywords that become param spec fields or validators; anything else is unsupported
+const supported = annotations.concat([
+  'type', 'nullable', 'properties', 'required', 'additionalProperties', 'items', 'default', 'enum', 'const',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'uniqueItems'
+]);
+const jsonTypes = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// Validators for the keywords that constrain values rather than types
+function keywordValidators(schema) {
+  let validators = [];
+  if (schema.enum !== undefined) {
+    validators.push(namedValidator(`enum ${JSON.stringify(schema.enum)}`,
+      val => schema.enum.some(allowed => deepEqual(allowed, val))));
+  }
+  if (schema.const !== undefined) {
+    validators.push(namedValidator(`const ${JSON.stringify(schema.const)}`, val => deepEqual(schema.const, val)));
+  }
+  // As in JSON Schema, each keyword only constrains values of the type it applies to
+  const comparisons = {
+    minimum: (val, limit) => typeof(val) !== 'number' || val >= limit,
+    maximum: (val, limit) => typeof(val) !== 'number' || val <= limit,
+    exclusiveMinimum: (val, limit) => typeof(val) !== 'number' || val > limit,
+    exclusiveMaximum: (val, limit) => typeof(val) !== 'number' || val < limit,
+    minLength: (val, limit) => typeof(val) !== 'string' || val.length >= limit,
+    maxLength: (val, limit) => typeof(val) !== 'string' || val.length <= limit
+  };
+  for (const keyword of Object.keys(comparisons)) {
+    if (schema[keyword] !== undefined) {
+      const limit = schema[keyword];
+      validators.push(namedValidator(`${keyword} ${limit}`, val => comparisons[keyword](val, limit)));
+    }
+  }
+  if (schema.pattern !== undefined) {
+    const pattern = new RegExp(schema.pattern);
+    validators.push(namedValidator(`pattern ${schema.pattern}`, val => typeof(val) !== 'string' || pattern.test(val)));
+  }
+  return validators;
+}
+// Combine validators into one, named after them all
+function allOf(validators) {
+  if (validators.length === 0) { return undefined }
+  if (validators.length === 1) { return validators[0] }
+  return namedValidator(validators.map(validator => validator.name).join(' and '),
+    val => validators.every(validator => validator(val)));
+}
+
+// The non-null types a schema allows, and whether it allows null
+function schemaTypes(path, schema) {
+  let types = schema.type === undefined ? [] : [].concat(schema.type);
+  for (const type of types) {
+    if (jsonTypes.indexOf(type) === -1) {
+      throw new ParamSpecTypeError(path, `unsupported JSON Schema type ${JSON.stringify(type)}`);
+    }
+  }
+  const nullable = types.indexOf('null') !== -1 || schema.nullable === true;
+  types = types.filter(type => type !== 'null');
+  if (types.length === 0 && schema.properties !== undefined) { types = ['object'] }
+  return { types, nullable };
+}
+function checkKeywords(path, schema) {
+  if (!isJSONObject(schema)) {
+    throw new ParamSpecTypeError(path, 'JSON Schema must be an object');
+  }
+  for (const keyword of Object.keys(schema)) {
+    if (supported.indexOf(keyword) === -1) {
+      throw new ParamSpecTypeError(path, `unsupported JSON Schema keyword ${keyword}`);
+    }
+  }
+}
+
+// The unknownKeys option matching an object schema's additionalProperties keyword
+function unknownKeysOption(schema) {
+  return schema.additionalProperties === false ? 'throw' : 'ignore';
+}
+
+// The type, validator and nested builder for a single value (a param, or a list or map item)
+function valueSpec(path, schema) {
+  checkKeywords(path, schema);
+  const typeInfo = schemaTypes(path, schema);
+  let validators = keywordValidators(schema);
+  let spec = { nullable: typeInfo.nullable };
+  if (typeInfo.types.length === 1) {
+    const type = typeInfo.types[0];
+    if (type === 'integer') {
+      spec.type = 'number';
+      validators.unshift(namedValidator('integer', Number.isInteger));
+    } else if (type === 'object' && schema.properties !== undefined) {
+      spec.builder = Builder(specFromSchema(schema, path + '.'), null, {
+        invoke: 'none',
+        unknownKeys: unknownKeysOption(schema)
+      });
+    } else {
+      spec.type = type;
+    }
+  } else if (typeInfo.types.length > 1) {
+    if (schema.items !== undefined || schema.properties !== undefined || isJSONObject(schema.additionalProperties)) {
+      throw new ParamSpecTypeError(path, 'type unions are only supported for values without items or properties');
+    }
+    const typeofs = typeInfo.types.map(type => type === 'integer' ? 'number' : type);
+    validators.unshift(namedValidator(`type ${typeInfo.types.join('|')}`, val => typeInfo.types.some((type, i) =>
+      type === 'array' ? Array.isArray(val) :
+      type === 'integer' ? Number.isInteger(val) :
+      typeof(val) === typeofs[i] && !Array.isArray(val))));
+  }
+  // Only object schemas with properties become builders, which take the required keyword
+  if (!spec.builder) {
+    for (const keyword of ['properties', 'required']) {
+      if (schema[keyword] !== undefined) {
+        throw new ParamSpecTypeError(path, `${keyword} applies only to object schemas with properties`);
+      }
+    }
+  }
+  spec.validator = allOf(validators);
+  return spec;
+}
+// valueSpec() for the items of a list, set or map param, which hold single values, not further collections
+function itemSpec(path, schema) {
+  const item = valueSpec(path, schema);
+  for (const keyword of ['items', 'uniqueItems', 'additionalProperties']) {
+    if (schema[keyword] !== undefined && !(keyword === 'additionalProperties' && item.builder)) {
+      throw new ParamSpecTypeError(path, `${keyword} is not supported in item schemas, as items cannot be collections`);
+    }
+  }
+  return item;
+}
+
+function paramFromSchema(path, name, schema, isRequired) {
+  const value = valueSpec(path, schema);
+  let param = { name, isRequired, schema };
+  if (value.nullable) { param.isNullable = true }
+  if (schema.description !== undefined) { param.description = schema.description }
+  if (schema.default !== undefined) { param.default = schema.default }
+
+  if (value.type === 'array') {
+    // Arrays of unique items become set params, which drop duplicates rather than rejecting them
+    if (schema.uniqueItems === true) { param.isSet = true } else { param.isList = true }
+    if (schema.items !== undefined) {
+      if (!isJSONObject(schema.items)) {
+        throw new ParamSpecTypeError(path, 'only a single items schema is supported, not tuples');
+      }
+      const item = itemSpec(path + '.items', schema.items);
+      param.itemType = item.type;
+      param.itemValidator = item.validator;
+      param.builder = item.builder;
+    }
+  } else if (value.type === 'object' && isJSONObject(schema.additionalProperties)) {
+    const item = itemSpec(path + '.additionalProperties', schema.additionalProperties);
+    param.isMap = true;
+    param.itemType = item.type;
+    param.itemValidator = item.validator;
+    param.builder = item.builder;
+  } else {
+    param.type = value.type;
+    param.builder = value.builder;
+  }
+  param.validator = value.validator;
+  // Drop empty fields, so the spec reads like one written by hand
+  for (const field of Object.keys(param)) {
+    if (param[field] === undefined) { delete param[field] }
+  }
+  return param;
+}
+
+// Param names in error messages are prefixed by the path to a nested object schema
+function specFromSchema(schema, prefix) {
+  const path = prefix ? prefix.slice(0, -1) : '(root)';
+  checkKeywords(path, schema);
+  const types = schemaTypes(path, schema).types;
+  if (types.length !== 1 || types[0] !== 'object' || !isJSONObject(schema.properties)) {
+    throw new ParamSpecTypeError(path, 'JSON Schema must describe an object with properties');
+  }
+  if (schema.additionalProperties !== undefined && typeof(schema.additionalProperties) !== 'boolean') {
+    throw new ParamSpecTypeError(path, 'additionalProperties of a builder schema must be true or false');
+  }
+  const required = schema.required === undefined ? [] : schema.required;
+  if (!Array.isArray(required) || required.some(name => typeof(name) !== 'string')) {
+    throw new ParamSpecTypeError(path, 'required must be an array of property names');
+  }
+  for (const name of required) {
+    if (!schema.properties.hasOwnProperty(name)) {
+      throw new ParamSpecTypeError(prefix + name, 'is required but has no property schema');
+    }
+  }
+  return Object.keys(schema.properties).map(name =>
+    paramFromSchema(prefix + name, name, schema.properties[name], required.indexOf(name) !== -1));
+}
+
+///// Param Spec -> JSON Schema /////
+const exportableTypes = ['string', 'number', 'boolean', 'object', 'array'];
+
+function typeSchema(type, builder) {
+  if (builder) { return schemaFromSpec(builder, true) }
+  return exportableTypes.indexOf(type) === -1 ? {} : { type };
+}
+function withNull(schema) {
+  if (schema.type !== undefined) {
+    schema.type = [].concat(schema.type, 'null');
+  }
+  return schema;
+}
+function paramSchema(param) {
+  // Params converted from JSON Schema carry their original schema fragment
+  if (param.schema) { return JSON.parse(JSON.stringify(param.schema)) }
+
+  let schema;
+  if (param.isList) {
+    schema = { type: 'array', items: typeSchema(param.itemType, param.builder) };
+  } else if (param.isSet) {
+    schema = { type: 'array', items: typeSchema(param.itemType, param.builder), uniqueItems: true };
+  } else if (param.isMap && param.mapType === 'Map') {
+    // toJSON() serializes ES Maps as arrays of [key, value] entries
+    schema = { type: 'array', items: {
+      type: 'array', items: [{}, typeSchema(param.itemType, param.builder)], minItems: 2, maxItems: 2
+    } };
+  } else if (param.isMap) {
+    schema = { type: 'object', additionalProperties: typeSchema(param.itemType, param.builder) };
+  } else {
+    schema = typeSchema(param.type, param.builder);
+  }
+  if (param.isNullable) { withNull(schema) }
+  if (param.description !== undefined) { schema.description = param.description }
+  if (param.default !== undefined && typeof(param.default) !== 'function') { schema.default = param.default }
+  return schema;
+}
+
+// Only the top-level schema declares the JSON Schema version
+function schemaFromSpec(source, nested) {
+  let spec;
+  let options = {};
+  if (isBuilderClass(source)) {
+    spec = source.spec;
+    options = source.options;
+  } else if (Array.isArray(source)) {
+    spec = source;
+  } else {
+    throw new TypeError('toJSONSchema() requires a builder class or an array of parameter specifications.');
+  }
+
+  let schema = nested ? {} : { $schema: 'http://json-schema.org/draft-07/schema#' };
+  schema.type = 'object';
+  schema.properties = {};
+  let required = [];
+  for (const param of spec) {
+    const key = param.key || param.name;
+    schema.properties[key] = paramSchema(param);
+    // Params with defaults need not be serialized
+    if (param.isRequired && param.default === undefined) { required.push(key) }
+  }
+  if (required.length) { schema.required = required }
+  schema.additionalProperties = (options.unknownKeys || 'throw') !== 'throw';
+  return schema;
+}
+
+///// Exports /////
+// Convert a JSON Schema for an object into a param spec array, one param per property.
+// Object properties with their own properties become nested builders (with invoke 'none'),
+// arrays become list params (set params with uniqueItems), and objects with an additionalProperties
+// schema become map params.
+// Each param keeps its source schema fragment in its `schema` field, for toJSONSchema().
+// Throws ParamSpecTypeError for schema constructs that have no param spec equivalent.
+// The top-level additionalProperties is for the builder's unknownKeys option, which builderFromJSONSchema() sets.
+function fromJSONSchema(schema) {
+  return specFromSchema(schema, '');
+}
+// Create a builder class from a JSON Schema for an object, as new Builder(fromJSONSchema(schema), cnstr, options).
+// Unless options give unknownKeys, unknown keys throw if additionalProperties is false, and are ignored otherwise,
+// as for nested builders.
+function builderFromJSONSchema(schema, cnstr, options) {
+  const spec = fromJSONSchema(schema);
+  return new Builder(spec, cnstr, Object.assign({ unknownKeys: unknownKeysOption(schema) }, options));
+}
+// Describe the serialized state of a builder class (the output of its toJSON()) as JSON Schema.
+// Accepts a builder class or a param spec array.
+function toJSONSchema(source) {
+  return schemaFromSpec(source, false);
+}
+
+module.exports = { fromJSONSchema, builderFromJSONSchema, toJSONSchema };
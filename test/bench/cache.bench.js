@@ -0,0 +1,64 @@
+'use strict';
+// Compare build() throughput with and without the build cache, for builder classes with many params.
+// Not run by mocha; run it with `npm run bench`.
+const Builder = require('../../builder');
+
+const durationMs = 500; // Per case
+
+class Config {
+  constructor() { this.values = Array.from(arguments) }
+}
+// A spec of count params, with a list param for every tenth
+function largeSpec(count) {
+  let spec = [];
+  for (let i = 0; i < count; i++) {
+    spec.push(i % 10 === 9 ?
+      { name: `list${i}`, isList: true, itemType: 'number' } :
+      { name: `param${i}`, type: i % 2 ? 'number' : 'string', isRequired: i < count / 2, validator: val => val !== '' });
+  }
+  return spec;
+}
+// Plain data for a builder of the spec, varied by seed
+function largeArgs(spec, seed) {
+  let obj = {};
+  for (const param of spec) {
+    obj[param.name] = param.isList ? [seed, seed + 1, seed + 2] : param.type === 'number' ? seed : `value ${seed}`;
+  }
+  return obj;
+}
+
+// Run fn repeatedly for durationMs, returning the calls per second
+function measure(fn) {
+  for (let i = 0; i < 100; i++) { fn(i) } // Warm up
+  let calls = 0;
+  const start = process.hrtime.bigint();
+  const end = start + BigInt(durationMs) * 1000000n;
+  let now = start;
+  while (now < end) {
+    for (let i = 0; i < 100; i++) { fn(calls++) }
+    now = process.hrtime.bigint();
+  }
+  return calls / (Number(now - start) / 1e9);
+}
+
+function formatRate(rate) {
+  return `${Math.round(rate).toLocaleString('en-US')} builds/s`.padStart(20);
+}
+
+for (const count of [20, 100]) {
+  const spec = largeSpec(count);
+  const Uncached = new Builder(spec, Config);
+  const Cached = new Builder(spec, Config, { cache: { max: 100 } });
+  const uncachedBuilder = Uncached.from(largeArgs(spec, 1));
+  const cachedBuilder = Cached.from(largeArgs(spec, 1));
+  // Builders for more distinct args than the cache holds, so every build misses
+  const missingBuilders = Array.from({ length: 101 }, (_, seed) => Cached.from(largeArgs(spec, seed)));
+
+  console.log(`${count} params:`);
+  const uncached = measure(() => uncachedBuilder.build());
+  console.log(`  uncached            ${formatRate(uncached)}`);
+  const hits = measure(() => cachedBuilder.build());
+  console.log(`  cached, hits        ${formatRate(hits)}  (${(hits / uncached).toFixed(1)}x)`);
+  const misses = measure(i => missingBuilders[i % missingBuilders.length].build());
+  console.log(`  cached, all misses  ${formatRate(misses)}  (${(misses / uncached).toFixed(1)}x)`);
+}
@@ -3,6 +3,11 @@ const Builder = require('../builder');
 const ParamSpecTypeError = Builder.ParamSpecTypeError;
 const MissingArgumentError = Builder.MissingArgumentError;
 const NullArgumentError = Builder.NullArgumentError;
+const InvalidArgumentError = Builder.InvalidArgumentError;
+const ConstraintViolationError = Builder.ConstraintViolationError;
+const BuilderValidationError = Builder.BuilderValidationError;
+const UnknownParameterError = Builder.UnknownParameterError;
+const DuplicateItemError = Builder.DuplicateItemError;
 
 // For verifying that the constructor is called correctly, we need to:
 // 1) capture the constructor arguments
@@ -405,4 +410,1837 @@ describe('Builder', function() {
       }]);
     });
   }); // end describe #addX(key, value)
+
+  describe('type declarations', function() {
+    class Point {}
+    function isPort(val) { return val > 0 && val < 65536; }
+
+    it('rejects invalid type declarations', function() {
+      function buildWithParamSpec(paramspec) {
+        return function() {
+          return new Builder(paramspec, TestConstructor);
+        };
+      }
+      expect(buildWithParamSpec([{ name: 'param', type: 'integer' }])).to.throw(ParamSpecTypeError);
+      expect(buildWithParamSpec([{ name: 'param', type: {} }])).to.throw(ParamSpecTypeError);
+      expect(buildWithParamSpec([{ name: 'param', validator: 'yes' }])).to.throw(ParamSpecTypeError);
+      expect(buildWithParamSpec([{ name: 'param', itemType: 'string' }])).to.throw(ParamSpecTypeError); // not a list
+      expect(buildWithParamSpec([{ name: 'param', isList: true, itemType: 'string' }])).to.not.throw();
+    });
+
+    it('rejects an invalid typeCheck option', function() {
+      expect(function() {
+        return new Builder([], TestConstructor, { typeCheck: 'never' });
+      }).to.throw(TypeError, 'typeCheck');
+    });
+
+    it('checks primitive type names', function() {
+      const Bldr = new Builder([
+        { name: 'str', type: 'string' },
+        { name: 'arr', type: 'array' },
+        { name: 'obj', type: 'object' }
+      ], TestConstructor);
+      expect(function() { (new Bldr()).setStr(1); }).to.throw(InvalidArgumentError, 'expected string');
+      expect(function() { (new Bldr()).setArr({}); }).to.throw(InvalidArgumentError, 'expected array');
+      expect(function() { (new Bldr()).setObj([]); }).to.throw(InvalidArgumentError, 'expected object');
+      const buildResult = (new Bldr()).setStr('s').setArr([]).setObj({}).build();
+      expect(buildResult.args).to.deep.equal(['s', [], {}]);
+    });
+
+    it('checks constructors with instanceof', function() {
+      const Bldr = new Builder([{ name: 'point', type: Point }], TestConstructor);
+      expect(function() { (new Bldr()).setPoint({}); }).to.throw(InvalidArgumentError, 'instance of Point');
+      expect((new Bldr()).setPoint(new Point()).build().args[0]).to.be.an.instanceof(Point);
+    });
+
+    it('checks custom validators', function() {
+      const Bldr = new Builder([{ name: 'port', type: 'number', validator: isPort }], TestConstructor);
+      expect(function() { (new Bldr()).setPort(0); }).to.throw(InvalidArgumentError, 'validator isPort');
+      expect((new Bldr()).setPort(80).build().args).to.deep.equal([80]);
+    });
+
+    it('names the parameter and the offending value', function() {
+      const Bldr = new Builder([{ name: 'port', type: 'number' }], TestConstructor);
+      let err;
+      try {
+        (new Bldr()).setPort('eighty');
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.an.instanceof(InvalidArgumentError);
+      expect(err.paramName).to.equal('port');
+      expect(err.value).to.equal('eighty');
+      expect(err.message).to.contain('port').and.contain('"eighty"');
+    });
+
+    it('does not type-check null or undefined', function() {
+      const Bldr = new Builder([{ name: 'param', type: 'string', validator: isPort }], TestConstructor);
+      expect((new Bldr()).setParam(null).build().args).to.deep.equal([null]);
+      expect((new Bldr()).setParam(undefined).build().args).to.deep.equal([undefined]);
+    });
+
+    it('checks list items on set and add', function() {
+      const Bldr = new Builder([
+        { name: 'ports', isList: true, itemName: 'port', itemType: 'number', itemValidator: isPort }
+      ], TestConstructor);
+      expect(function() { (new Bldr()).setPorts([80, '443']); }).to.throw(InvalidArgumentError, 'ports.1');
+      expect(function() { (new Bldr()).addPort(80).addPort(70000); }).to.throw(InvalidArgumentError, 'ports.1');
+      expect((new Bldr()).addPort(80).addPort(443).build().args).to.deep.equal([[80, 443]]);
+    });
+
+    it('checks map values on set and add', function() {
+      const Bldr = new Builder([
+        { name: 'headers', isMap: true, itemName: 'header', itemType: 'string' }
+      ], TestConstructor);
+      expect(function() { (new Bldr()).setHeaders({ accept: 1 }); }).to.throw(InvalidArgumentError, 'headers.accept');
+      expect(function() { (new Bldr()).addHeader('accept', 1); }).to.throw(InvalidArgumentError, 'headers.accept');
+      expect((new Bldr()).addHeader('accept', '*/*').build().args).to.deep.equal([{ accept: '*/*' }]);
+    });
+
+    it('defers checks to build() when typeCheck is "build"', function() {
+      const Bldr = new Builder([
+        { name: 'str', type: 'string' },
+        { name: 'list', isList: true, itemType: 'number' }
+      ], TestConstructor, { typeCheck: 'build' });
+      const builder = (new Bldr()).setStr(1);
+      expect(function() { builder.build(); }).to.throw(InvalidArgumentError, 'str');
+      const listBuilder = (new Bldr()).addList('one');
+      expect(function() { listBuilder.build(); }).to.throw(InvalidArgumentError, 'list.0');
+      expect((new Bldr()).setStr('s').addList(1).build().args).to.deep.equal(['s', [1]]);
+    });
+  }); // end describe type declarations
+
+  describe('default values', function() {
+    it('are used for unset parameters', function() {
+      const Bldr = new Builder([
+        { name: 'param1', default: 'default 1' },
+        { name: 'param2', default: 0 }
+      ], TestConstructor);
+      expect((new Bldr()).build().args).to.deep.equal(['default 1', 0]);
+      expect((new Bldr()).setParam1('value').build().args).to.deep.equal(['value', 0]);
+    });
+
+    it('are not used for parameters set to null', function() {
+      const Bldr = new Builder([{ name: 'param', default: 'default' }], TestConstructor);
+      expect((new Bldr()).setParam(null).build().args).to.deep.equal([null]);
+    });
+
+    it('may be computed from the other args', function() {
+      const Bldr = new Builder([
+        { name: 'port', default: args => args.protocol === 'https' ? 443 : 80 },
+        { name: 'protocol', default: 'http' },
+        { name: 'url', default: args => `${args.protocol}://localhost:${args.port}` }
+      ], TestConstructor);
+      expect((new Bldr()).build().args).to.deep.equal([80, 'http', 'http://localhost:80']);
+      expect((new Bldr()).setProtocol('https').build().args).to.deep.equal([443, 'https', 'https://localhost:443']);
+      expect((new Bldr()).setPort(8080).build().args).to.deep.equal([8080, 'http', 'http://localhost:8080']);
+    });
+
+    it('detects defaults that depend on themselves', function() {
+      const Bldr = new Builder([
+        { name: 'param1', default: args => args.param2 },
+        { name: 'param2', default: args => args.param1 }
+      ], TestConstructor);
+      expect(function() { (new Bldr()).build(); }).to.throw(ParamSpecTypeError, 'its own value');
+      expect((new Bldr()).setParam1(1).build().args).to.deep.equal([1, 1]);
+    });
+
+    it('are fresh copies for list and map parameters', function() {
+      const Bldr = new Builder([
+        { name: 'list', isList: true, default: ['item'] },
+        { name: 'map', isMap: true, default: { key: 'value' } }
+      ], TestConstructor);
+      const builder = new Bldr();
+      const result1 = builder.build();
+      const result2 = builder.build();
+      expect(result1.args).to.deep.equal([['item'], { key: 'value' }]);
+      expect(result1.args[0]).to.not.equal(result2.args[0]);
+      expect(result1.args[1]).to.not.equal(result2.args[1]);
+      result1.args[0].push('another item');
+      expect(builder.build().args[0]).to.deep.equal(['item']);
+    });
+
+    it('are applied before required parameters are checked', function() {
+      const Bldr = new Builder([
+        { name: 'param1', isRequired: true, default: 'default' },
+        { name: 'param2', isRequired: true, default: () => null }
+      ], TestConstructor);
+      expect(function() { (new Bldr()).build(); }).to.throw(NullArgumentError, 'param2');
+      expect((new Bldr()).setParam2('value').build().args).to.deep.equal(['default', 'value']);
+    });
+
+    it('must match the parameter declaration', function() {
+      function buildWithParamSpec(paramspec) {
+        return function() {
+          return new Builder(paramspec, TestConstructor);
+        };
+      }
+      expect(buildWithParamSpec([{ name: 'list', isList: true, default: 'item' }])).to.throw(ParamSpecTypeError);
+      expect(buildWithParamSpec([{ name: 'map', isMap: true, default: null }])).to.throw(ParamSpecTypeError);
+      expect(buildWithParamSpec([{ name: 'str', type: 'string', default: 1 }])).to.throw(ParamSpecTypeError);
+    });
+
+    it('are type-checked at build time when computed', function() {
+      const Bldr = new Builder([{ name: 'str', type: 'string', default: () => 1 }], TestConstructor);
+      expect(function() { (new Bldr()).build(); }).to.throw(InvalidArgumentError, 'str');
+    });
+  }); // end describe default values
+
+  describe('constraints', function() {
+    const spec = [
+      { name: 'url' },
+      { name: 'host' },
+      { name: 'port' },
+      { name: 'secure' },
+      { name: 'tlsCert' },
+      { name: 'min' },
+      { name: 'max' }
+    ];
+    function buildWith(options, setup) {
+      const Bldr = new Builder(spec, TestConstructor, options);
+      return function() {
+        return setup(new Bldr()).build();
+      };
+    }
+
+    it('oneOf requires exactly one group of parameters', function() {
+      const options = { constraints: [Builder.oneOf('url', ['host', 'port'])] };
+      expect(buildWith(options, b => b)).to.throw(ConstraintViolationError, 'found none');
+      expect(buildWith(options, b => b.setUrl('u').setHost('h').setPort(1))).to.throw(ConstraintViolationError, 'found url and host+port');
+      expect(buildWith(options, b => b.setHost('h'))).to.throw(ConstraintViolationError, 'port must be set together with host+port');
+      expect(buildWith(options, b => b.setUrl('u'))).to.not.throw();
+      expect(buildWith(options, b => b.setHost('h').setPort(1))).to.not.throw();
+    });
+
+    it('allOrNone requires all of the parameters or none', function() {
+      const options = { constraints: [Builder.allOrNone('host', 'port')] };
+      expect(buildWith(options, b => b.setPort(1))).to.throw(ConstraintViolationError, 'found only port');
+      expect(buildWith(options, b => b)).to.not.throw();
+      expect(buildWith(options, b => b.setHost('h').setPort(1))).to.not.throw();
+    });
+
+    it('requiresIf requires parameters when another is truthy', function() {
+      const options = { constraints: [Builder.requiresIf('tlsCert', 'secure')] };
+      expect(buildWith(options, b => b.setSecure(true))).to.throw(ConstraintViolationError, 'tlsCert must be set when secure is set');
+      expect(buildWith(options, b => b.setSecure(false))).to.not.throw();
+      expect(buildWith(options, b => b.setSecure(true).setTlsCert('cert'))).to.not.throw();
+    });
+
+    it('requiresIf accepts a predicate as its condition', function() {
+      const options = { constraints: [Builder.requiresIf(['host', 'port'], function isRemote(args) { return args.url === 'remote'; })] };
+      expect(buildWith(options, b => b.setUrl('remote').setHost('h'))).to.throw(ConstraintViolationError, 'port must be set when isRemote holds');
+      expect(buildWith(options, b => b.setUrl('local'))).to.not.throw();
+    });
+
+    it('runs custom validate hooks', function() {
+      const options = {
+        validate: [
+          function minMax(args) { return !(args.max < args.min) || 'max must not be less than min'; },
+          function positive(args) { return !(args.min < 0) && !(args.max < 0); }
+        ]
+      };
+      expect(buildWith(options, b => b.setMin(2).setMax(1))).to.throw(ConstraintViolationError, 'Constraint minMax violated: max must not be less than min');
+      expect(buildWith(options, b => b.setMin(-1))).to.throw(ConstraintViolationError, 'positive');
+      expect(buildWith(options, b => b.setMin(1).setMax(2))).to.not.throw();
+    });
+
+    it('sees default values', function() {
+      const Bldr = new Builder([
+        { name: 'min', default: 10 },
+        { name: 'max' }
+      ], TestConstructor, { validate: args => args.max === undefined || args.max >= args.min });
+      expect(function() { (new Bldr()).setMax(5).build(); }).to.throw(ConstraintViolationError);
+      expect((new Bldr()).setMax(15).build().args).to.deep.equal([10, 15]);
+    });
+
+    it('names the rule and parameters in the error', function() {
+      let err;
+      try {
+        buildWith({ constraints: [Builder.allOrNone('host', 'port')] }, b => b.setHost('h'))();
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.an.instanceof(ConstraintViolationError);
+      expect(err.rule).to.equal('allOrNone');
+      expect(err.paramNames).to.deep.equal(['host', 'port']);
+    });
+
+    it('rejects constraints on unspecified parameters', function() {
+      expect(function() {
+        return new Builder(spec, TestConstructor, { constraints: [Builder.allOrNone('host', 'hostname')] });
+      }).to.throw(ParamSpecTypeError, 'hostname');
+      expect(function() {
+        return new Builder(spec, TestConstructor, { constraints: [() => true] });
+      }).to.throw(TypeError, 'check(args)');
+      expect(function() {
+        return new Builder(spec, TestConstructor, { validate: 'yes' });
+      }).to.throw(TypeError, 'validate');
+    });
+  }); // end describe constraints
+
+  describe('#validate()', function() {
+    const spec = [
+      { name: 'param1', isRequired: true },
+      { name: 'param2', isRequired: true },
+      { name: 'param3', type: 'number' },
+      { name: 'param4' }
+    ];
+    const options = {
+      typeCheck: 'build',
+      constraints: [Builder.allOrNone('param3', 'param4')]
+    };
+
+    it('returns an empty report when the builder is valid', function() {
+      const Bldr = new Builder(spec, TestConstructor, options);
+      expect((new Bldr()).setParam1(1).setParam2(2).validate()).to.deep.equal([]);
+    });
+
+    it('reports every problem', function() {
+      const Bldr = new Builder(spec, TestConstructor, options);
+      const report = (new Bldr()).setParam2(null).setParam3('three').validate();
+      expect(report.map(entry => entry.kind)).to.deep.equal([
+        'MissingArgumentError',
+        'NullArgumentError',
+        'InvalidArgumentError',
+        'ConstraintViolationError'
+      ]);
+      expect(report.map(entry => entry.params)).to.deep.equal([
+        ['param1'],
+        ['param2'],
+        ['param3'],
+        ['param3', 'param4']
+      ]);
+      expect(report[0].error).to.be.an.instanceof(MissingArgumentError);
+      expect(report[0].message).to.equal(report[0].error.message);
+      expect(report[1].error).to.be.an.instanceof(NullArgumentError);
+    });
+  }); // end describe #validate()
+
+  describe('#build() with collectErrors', function() {
+    it('throws every problem in one BuilderValidationError', function() {
+      const Bldr = new Builder([
+        { name: 'param1', isRequired: true },
+        { name: 'param2', isRequired: true }
+      ], TestConstructor, { collectErrors: true });
+      let err;
+      try {
+        (new Bldr()).build();
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.an.instanceof(BuilderValidationError);
+      expect(err.errors.map(entry => entry.params)).to.deep.equal([['param1'], ['param2']]);
+      expect(err.errors[0].error).to.be.an.instanceof(MissingArgumentError);
+      expect(err.message).to.contain('2 errors').and.contain('param1').and.contain('param2');
+    });
+
+    it('builds when there are no problems', function() {
+      const Bldr = new Builder([{ name: 'param', isRequired: true }], TestConstructor, { collectErrors: true });
+      expect((new Bldr()).setParam(1).build().args).to.deep.equal([1]);
+    });
+  }); // end describe #build() with collectErrors
+
+  describe('#buildAsync()', function() {
+    const delay = (ms, val) => new Promise(resolve => setTimeout(() => resolve(val), ms));
+    async function rejection(promise) {
+      try {
+        await promise;
+      } catch (err) {
+        return err;
+      }
+      throw new Error('expected the promise to be rejected');
+    }
+
+    it('builds like build() when nothing is async', async function() {
+      const Bldr = new Builder([{ name: 'param', isRequired: true, default: 1 }], TestConstructor);
+      const built = await (new Bldr()).buildAsync();
+      expect(built).to.be.an.instanceof(TestConstructor);
+      expect(built.args).to.deep.equal([1]);
+    });
+
+    it('runs independent async defaults in parallel, and lets defaults await each other', async function() {
+      let started = [];
+      const Bldr = new Builder([
+        { name: 'host', default: async () => { started.push('host'); return delay(10, 'example.com') } },
+        { name: 'port', default: async () => { started.push('port'); return delay(10, 80) } },
+        { name: 'url', default: async args => `http://${await args.host}:${await args.port}` }
+      ], TestConstructor);
+      const built = await (new Bldr()).setPort(8080).buildAsync();
+      expect(started).to.deep.equal(['host']);
+      expect(built.args).to.deep.equal(['example.com', 8080, 'http://example.com:8080']);
+      started = [];
+      await (new Bldr()).buildAsync();
+      expect(started).to.deep.equal(['host', 'port']);
+    });
+
+    it('rejects with the errors of async validators, whether checked on set or at build', async function() {
+      const exists = async path => delay(1, path !== '/missing');
+      const Bldr = new Builder([
+        { name: 'file', type: 'string', validator: exists, default: '/etc' },
+        { name: 'files', isList: true, itemName: 'file', itemValidator: exists }
+      ], TestConstructor);
+      const builder = (new Bldr()).setFile('/missing');
+      let err = await rejection(builder.buildAsync());
+      expect(err).to.be.an.instanceof(InvalidArgumentError);
+      expect(err.paramName).to.equal('file');
+      err = await rejection((new Bldr()).addFile('/etc').addFile('/missing').buildAsync());
+      expect(err.paramName).to.equal('files.1');
+      expect((await (new Bldr()).buildAsync()).args).to.deep.equal(['/etc', undefined]);
+      expect(() => (new Bldr()).setFile(1)).to.throw(InvalidArgumentError);
+    });
+
+    it('rejects with the errors of async constraints and validate hooks', async function() {
+      const Bldr = new Builder([
+        { name: 'min', isRequired: true },
+        { name: 'max', isRequired: true }
+      ], TestConstructor, {
+        collectErrors: true,
+        constraints: [{ rule: 'reachable', params: ['max'], check: async args => args.max > 100 ? 'max unreachable' : undefined }],
+        validate: async function ordered(args) { return args.min <= args.max }
+      });
+      const err = await rejection((new Bldr()).setMin(500).setMax(200).buildAsync());
+      expect(err).to.be.an.instanceof(BuilderValidationError);
+      expect(err.errors.map(entry => entry.message)).to.deep.equal([
+        'Constraint reachable on max violated: max unreachable',
+        'Constraint ordered violated: validation failed'
+      ]);
+      expect(err.errors[1].error).to.be.an.instanceof(ConstraintViolationError);
+      expect(err.errors[1].error.rule).to.equal('ordered');
+      const report = await (new Bldr()).setMax(1).validateAsync();
+      expect(report.map(entry => entry.kind)).to.deep.equal(['MissingArgumentError', 'ConstraintViolationError']);
+    });
+
+    it('awaits an async factory function, which is called rather than constructed', async function() {
+      const Bldr = new Builder([{ name: 'name' }], async function create(name) {
+        await delay(1);
+        return { name, ready: true };
+      });
+      expect(Bldr.options.invoke).to.equal('call');
+      expect(await (new Bldr()).setName('db').buildAsync()).to.deep.equal({ name: 'db', ready: true });
+    });
+
+    it('builds nested builders asynchronously', async function() {
+      const Child = new Builder([{ name: 'id', default: async () => delay(1, 7) }], null, { invoke: 'none' });
+      const Bldr = new Builder([
+        { name: 'child', builder: Child },
+        { name: 'children', isList: true, itemName: 'child', builder: Child }
+      ], TestConstructor);
+      const built = await (new Bldr()).editChild(child => child).addChild().done().buildAsync();
+      expect(built.args).to.deep.equal([{ id: 7 }, [{ id: 7 }]]);
+      const Strict = new Builder([{ name: 'id', validator: async id => id > 0 }], null, { invoke: 'none' });
+      const Parent = new Builder([{ name: 'child', builder: Strict }], TestConstructor);
+      const err = await rejection((new Parent()).editChild(child => child.setId(-1)).buildAsync());
+      expect(err.paramName).to.equal('child.id');
+    });
+
+    it('is required by build() for anything async', function() {
+      const Bldr = new Builder([
+        { name: 'checked', validator: async () => true },
+        { name: 'computed', default: async () => 1 }
+      ], TestConstructor);
+      expect(() => (new Bldr()).setChecked(1).setComputed(2).build()).to.throw(TypeError, 'use buildAsync()');
+      expect(() => (new Bldr()).setChecked(1).validate()).to.throw(TypeError, 'use buildAsync()');
+      expect(() => (new Bldr()).build()).to.throw(TypeError, 'use buildAsync()');
+      const Constrained = new Builder([], TestConstructor, { validate: async () => true });
+      expect(() => (new Constrained()).build()).to.throw(TypeError, 'use buildAsync()');
+      const Created = new Builder([], async () => ({}));
+      expect(() => (new Created()).build()).to.throw(TypeError, 'use buildAsync()');
+    });
+
+    // The rejections left unhandled by the time fn's promise settles and a little after
+    async function unhandledDuring(fn) {
+      let reasons = [];
+      const listener = reason => reasons.push(reason);
+      process.on('unhandledRejection', listener);
+      try {
+        await fn();
+        await delay(10);
+      } finally {
+        process.removeListener('unhandledRejection', listener);
+      }
+      return reasons;
+    }
+
+    it('leaves no rejection unhandled when build() refuses an async check', async function() {
+      const failing = async () => { throw new Error('check failed') };
+      const Validated = new Builder([{ name: 'checked', validator: failing }], TestConstructor, { typeCheck: 'build' });
+      const Constrained = new Builder([], TestConstructor, { constraints: [{ rule: 'failing', check: failing }] });
+      const Hooked = new Builder([], TestConstructor, { validate: failing });
+      const Plugged = new Builder([], TestConstructor, { plugins: [{ name: 'failing', checkArgs: failing }] });
+      const reasons = await unhandledDuring(() => {
+        expect(() => (new Validated()).setChecked(1).build()).to.throw(TypeError, 'use buildAsync()');
+        expect(() => (new Constrained()).build()).to.throw(TypeError, 'use buildAsync()');
+        expect(() => (new Hooked()).build()).to.throw(TypeError, 'use buildAsync()');
+        expect(() => (new Plugged()).build()).to.throw(TypeError, 'use buildAsync()');
+      });
+      expect(reasons).to.deep.equal([]);
+    });
+
+    it('leaves no rejection unhandled when a later check throws in buildAsync()', async function() {
+      const failing = async () => { throw new Error('check failed') };
+      const broken = () => { throw new Error('hook broke') };
+      const Child = new Builder([{ name: 'id', validator: failing }], null, { invoke: 'none', typeCheck: 'build' });
+      const Hooked = new Builder([
+        { name: 'checked', validator: failing },
+        { name: 'child', builder: Child }
+      ], TestConstructor, { typeCheck: 'build', validate: broken });
+      const Constrained = new Builder([{ name: 'checked', validator: failing }], TestConstructor, {
+        typeCheck: 'build', constraints: [{ rule: 'broken', check: broken }]
+      });
+      let errors = [];
+      const reasons = await unhandledDuring(async () => {
+        errors.push(await rejection((new Hooked()).setChecked(1).editChild(child => child.setId(1)).buildAsync()));
+        errors.push(await rejection((new Constrained()).setChecked(1).buildAsync()));
+      });
+      expect(reasons).to.deep.equal([]);
+      expect(errors.map(err => err.message)).to.deep.equal(['hook broke', 'hook broke']);
+    });
+  }); // end describe #buildAsync()
+
+  describe('plugins', function() {
+    it('run hooks around setting and building', async function() {
+      let log = [];
+      const trim = {
+        name: 'trim',
+        beforeSet(value, context) {
+          if (typeof(value) === 'string') { return value.trim() }
+        },
+        afterSet(value, context) {
+          log.push(`${context.action} ${context.param.name} ${JSON.stringify(value)}`);
+        }
+      };
+      const defaults = {
+        beforeBuild(args, context) {
+          return Object.assign({}, args, { port: args.port || 80 });
+        },
+        afterBuild(built, context) {
+          return Object.freeze(built);
+        }
+      };
+      const Bldr = new Builder([
+        { name: 'host', isRequired: true, type: 'string' },
+        { name: 'port', type: 'number' },
+        { name: 'tags', isList: true, itemName: 'tag' }
+      ], TestConstructor, { plugins: [trim, defaults] });
+      const builder = (new Bldr()).setHost(' example.com ').addTag(' web ');
+      expect(log).to.deep.equal(['set host "example.com"', 'add tags "web"']);
+      const built = builder.build();
+      expect(built.args).to.deep.equal(['example.com', 80, ['web']]);
+      expect(Object.isFrozen(built)).to.be.true;
+      expect(Object.isFrozen(await builder.buildAsync())).to.be.true;
+      expect(Bldr.plugins).to.deep.equal([Builder.requiredPlugin, trim, defaults]);
+    });
+
+    it('can add methods as params are defined', function() {
+      const resetters = {
+        onDefineParam(param, context) {
+          if (param.resettable) {
+            context.defineMethod('reset', 'reset' + param.name[0].toUpperCase() + param.name.slice(1), function() {
+              return this[context.methods.set](param.default);
+            });
+          }
+        }
+      };
+      const Bldr = new Builder([
+        { name: 'level', default: 'info', resettable: true },
+        { name: 'other' }
+      ], TestConstructor, { plugins: [resetters] });
+      expect((new Bldr()).setLevel('debug').resetLevel().args.level).to.equal('info');
+      expect(Bldr.spec[0].methods.reset).to.equal('resetLevel');
+      expect(Bldr.prototype.resetOther).to.be.undefined;
+      const clashing = { onDefineParam(param, context) { context.defineMethod('set', 'put', () => {}) } };
+      expect(() => new Builder([{ name: 'p' }], TestConstructor, { plugins: [clashing] }))
+        .to.throw(ParamSpecTypeError, 'already has a set method, setP');
+    });
+
+    it('can report errors, as the built-in required checks do', async function() {
+      const positive = {
+        name: 'positive',
+        checkArgs(args, context) {
+          return Object.keys(args).filter(name => args[name] <= 0)
+            .map(name => new InvalidArgumentError(context.prefix + name, args[name], 'must be positive'));
+        }
+      };
+      const Bldr = new Builder([
+        { name: 'width', isRequired: true },
+        { name: 'height', isRequired: true }
+      ], TestConstructor, { plugins: [positive], collectErrors: true });
+      const report = (new Bldr()).setWidth(-1).validate();
+      expect(report.map(entry => entry.kind)).to.deep.equal(['MissingArgumentError', 'InvalidArgumentError']);
+      expect(report[1].params).to.deep.equal(['width']);
+      const asyncCheck = { checkArgs: async () => [new InvalidArgumentError('width', 0, 'too small')] };
+      const Async = new Builder([{ name: 'width' }], TestConstructor, { plugins: [asyncCheck] });
+      expect(() => (new Async()).build()).to.throw(TypeError, 'use buildAsync()');
+      const reportAsync = await (new Async()).validateAsync();
+      expect(reportAsync.map(entry => entry.message)).to.deep.equal(['Parameter width has invalid value 0: too small']);
+    });
+
+    it('registered globally apply to builder classes defined later, before per-builder plugins', function() {
+      let order = [];
+      const first = { afterBuild() { order.push('first') } };
+      const second = { afterBuild() { order.push('second') } };
+      const local = { afterBuild() { order.push('local') } };
+      const Before = new Builder([], TestConstructor);
+      Builder.use(second).use(first);
+      try {
+        const After = new Builder([], TestConstructor, { plugins: [local, first] });
+        (new Before()).build();
+        (new After()).build();
+        expect(order).to.deep.equal(['second', 'first', 'local']);
+      } finally {
+        Builder.unuse(first).unuse(second);
+      }
+      expect(new Builder([], TestConstructor).plugins).to.deep.equal([Builder.requiredPlugin]);
+    });
+
+    it('are inherited by extend()', function() {
+      let seen = [];
+      const base = { afterSet(value, context) { seen.push(context.param.name) } };
+      const sub = { afterSet(value, context) { seen.push(context.param.name.toUpperCase()) } };
+      const Base = new Builder([{ name: 'a' }], TestConstructor, { plugins: [base] });
+      const Sub = Base.extend([{ name: 'b' }], undefined, { plugins: [sub] });
+      (new Sub()).setA(1).setB(2);
+      expect(seen).to.deep.equal(['a', 'A', 'b', 'B']);
+    });
+
+    it('are checked when given', function() {
+      expect(() => Builder.use(null)).to.throw(TypeError, 'must be an object');
+      expect(() => Builder.use({ name: 'typo', beforeSett() {} })).to.throw(TypeError, 'unknown hook beforeSett');
+      expect(() => new Builder([], TestConstructor, { plugins: {} })).to.throw(TypeError, 'must be an array');
+      expect(() => new Builder([], TestConstructor, { plugins: [{ afterBuild: true }] })).to.throw(TypeError, 'must be a function');
+    });
+  }); // end describe plugins
+
+  describe('method naming, aliases and deprecations', function() {
+    const spec = [
+      { name: 'timeout' },
+      { name: 'retryCount', isList: true, itemName: 'retryDelay' }
+    ];
+    function methodsOf(Bldr) {
+      return Bldr.spec.map(param => param.methods);
+    }
+
+    it('follows the naming option', function() {
+      expect(methodsOf(new Builder(spec, TestConstructor, { naming: 'with' }))[0]).to.deep.equal({ set: 'withTimeout' });
+      expect(methodsOf(new Builder(spec, TestConstructor, { naming: 'bare' }))[1].set).to.equal('retryCount');
+      expect(methodsOf(new Builder(spec, TestConstructor, { naming: 'snake_case' }))[1]).to.deep.equal({
+        set: 'set_retry_count', add: 'add_retry_delay', remove: 'remove_retry_delay', has: 'has_retry_delay',
+        clear: 'clear_retry_count', addAll: 'add_all_retry_count'
+      });
+      const Custom = new Builder(spec, TestConstructor, { naming: (action, name) => `${name}_${action}` });
+      expect((new Custom()).timeout_set(5).retryDelay_add(1).build().args).to.deep.equal([5, [1]]);
+      expect(Custom.options.naming).to.be.a('function');
+      expect(() => new Builder(spec, TestConstructor, { naming: 'kebab' })).to.throw(TypeError, 'naming');
+    });
+
+    it('rejects methods that collide, or replace builder methods', function() {
+      expect(() => new Builder([{ name: 'build' }], TestConstructor, { naming: 'bare' }))
+        .to.throw(ParamSpecTypeError, 'method name build is reserved');
+      expect(() => new Builder([{ name: 'toString' }], TestConstructor, { naming: 'bare' }))
+        .to.throw(ParamSpecTypeError, 'reserved');
+      expect(new Builder([{ name: 'toString' }], TestConstructor).spec[0].methods.set).to.equal('setToString');
+      expect(() => new Builder([{ name: 'tags', isList: true, itemName: 'tag' }, { name: 'addTag' }], TestConstructor, { naming: 'bare' }))
+        .to.throw(ParamSpecTypeError, 'method addTag is already generated for parameter tags');
+      expect(() => new Builder([{ name: 'host', aliases: ['hostname'] }, { name: 'Hostname' }], TestConstructor))
+        .to.throw(ParamSpecTypeError, 'method setHostname is already generated for parameter host');
+    });
+
+    it('generates a setter for each alias', function() {
+      const Bldr = new Builder([
+        { name: 'timeout', aliases: ['timeoutMs', { name: 'wait' }] }
+      ], TestConstructor, { naming: 'with' });
+      expect((new Bldr()).withTimeoutMs(5).build().args).to.deep.equal([5]);
+      expect((new Bldr()).withWait(6).build().args).to.deep.equal([6]);
+      expect(Bldr.spec[0].aliases).to.deep.equal([
+        { name: 'timeoutMs', deprecated: false, method: 'withTimeoutMs' },
+        { name: 'wait', deprecated: false, method: 'withWait' }
+      ]);
+    });
+
+    it('warns once through the logger when a deprecated param or alias is used', function() {
+      let warnings = [];
+      const logger = { warn: message => warnings.push(message) };
+      const Bldr = new Builder([
+        { name: 'timeout', aliases: [{ name: 'wait', deprecated: true }] },
+        { name: 'retries', deprecated: 'retries are now automatic' }
+      ], TestConstructor, { logger });
+      (new Bldr()).setTimeout(1).setWait(2).setWait(3).setRetries(1).setRetries(2);
+      Bldr.from({ wait: 4, retries: 1 });
+      expect(warnings).to.deep.equal([
+        'setWait() is deprecated: use setTimeout() instead',
+        'Parameter retries is deprecated: retries are now automatic',
+        'Key wait is deprecated: use timeout instead'
+      ]);
+      expect(Bldr.spec[1].deprecated).to.equal('retries are now automatic');
+    });
+
+    it('warns through Builder.logger by default', function() {
+      const defaultLogger = Builder.logger;
+      let warnings = [];
+      Builder.logger = { warn: message => warnings.push(message) };
+      try {
+        const Bldr = new Builder([{ name: 'old', deprecated: true }], TestConstructor);
+        (new Bldr()).setOld(1);
+      } finally {
+        Builder.logger = defaultLogger;
+      }
+      expect(warnings).to.deep.equal(['Parameter old is deprecated']);
+      expect(() => new Builder([], TestConstructor, { logger: {} })).to.throw(TypeError, 'logger');
+      expect(() => new Builder([{ name: 'p', deprecated: 1 }], TestConstructor)).to.throw(ParamSpecTypeError, 'deprecated');
+      expect(() => new Builder([{ name: 'p', aliases: [{ alias: 'q' }] }], TestConstructor)).to.throw(ParamSpecTypeError, 'aliases');
+    });
+  }); // end describe method naming, aliases and deprecations
+
+  describe('staged builders', function() {
+    const spec = [
+      { name: 'host', isRequired: true, aliases: ['hostname'] },
+      { name: 'timeout' },
+      { name: 'port', isRequired: true },
+      { name: 'protocol', isRequired: true, default: 'http' }
+    ];
+
+    it('offer only the next required setter until all are set', function() {
+      const Bldr = new Builder(spec, TestConstructor, { staged: true });
+      const first = new Bldr();
+      expect(first).to.not.be.an.instanceof(Bldr);
+      expect(first.setHost).to.be.a('function');
+      expect(first.setHostname).to.be.a('function');
+      expect(first.setPort).to.be.undefined;
+      expect(first.setTimeout).to.be.undefined;
+      expect(first.build).to.be.undefined;
+      const second = first.setHostname('example.com');
+      expect(second.setPort).to.be.a('function');
+      expect(second.setHost).to.be.undefined;
+      const builder = second.setPort(80);
+      expect(builder).to.be.an.instanceof(Bldr);
+      expect(builder.setTimeout(5).build().args).to.deep.equal(['example.com', 5, 80, 'http']);
+    });
+
+    it('report the outstanding required params', function() {
+      const Bldr = new Builder(spec, TestConstructor, { staged: true });
+      const first = new Bldr();
+      expect(first.outstanding()).to.deep.equal(['host', 'port']);
+      expect(first.setHost('a').outstanding()).to.deep.equal(['port']);
+      expect(first.setHost('a').setPort(1).outstanding()).to.deep.equal([]);
+      const Unstaged = new Builder(spec, TestConstructor);
+      expect((new Unstaged()).setPort(1).outstanding()).to.deep.equal(['host']);
+    });
+
+    it('leave builders without required params, and builders made internally, unstaged', function() {
+      const Optional = new Builder([{ name: 'param' }], TestConstructor, { staged: true });
+      expect(new Optional()).to.be.an.instanceof(Optional);
+      const Child = new Builder([{ name: 'id', isRequired: true }], null, { invoke: 'none', staged: true });
+      const Parent = new Builder([{ name: 'children', isList: true, itemName: 'child', builder: Child }], TestConstructor);
+      const built = (new Parent()).addChild(child => child.setId(1)).build();
+      expect(built.args).to.deep.equal([[{ id: 1 }]]);
+      expect(Child.from({ id: 2 }).build()).to.deep.equal({ id: 2 });
+    });
+
+    it('work with immutable builders', function() {
+      const Bldr = new Builder(spec, TestConstructor, { staged: true, immutable: true });
+      const hosted = new Bldr().setHost('a');
+      const one = hosted.setPort(1);
+      const two = hosted.setPort(2);
+      expect(one.build().args[2]).to.equal(1);
+      expect(two.build().args[2]).to.equal(2);
+    });
+  }); // end describe staged builders
+
+  describe('introspection', function() {
+    const TlsBuilder = new Builder([{ name: 'cert', isRequired: true, type: 'string' }], null, { invoke: 'none' });
+    const Bldr = new Builder([
+      { name: 'host', isRequired: true, type: 'string', description: 'Host name', aliases: ['hostname'] },
+      { name: 'port', isRequired: true, type: 'number', default: 80, validator: port => port > 0 },
+      { name: 'url', isRequired: true, default: args => args.host && `http://${args.host}` },
+      { name: 'roles', isSet: true, itemName: 'role', default: ['admin'] },
+      { name: 'tls', builder: TlsBuilder, isNullable: true },
+      { name: 'created', type: Date, key: 'created_at' }
+    ], TestConstructor, { constraints: [Builder.allOrNone('tls', 'created')] });
+
+    it('describes the params, options and constraints of a builder class', function() {
+      const description = Bldr.describe();
+      expect(description.params.map(param => param.name)).to.deep.equal(['host', 'port', 'url', 'roles', 'tls', 'created']);
+      expect(description.params[0]).to.deep.equal({
+        name: 'host',
+        key: 'host',
+        description: 'Host name',
+        methods: { set: 'setHost' },
+        aliases: [{ name: 'hostname', method: 'setHostname', deprecated: false }],
+        isRequired: true,
+        isNullable: false,
+        isList: false,
+        isMap: false,
+        isSet: false,
+        isPositional: false,
+        deprecated: false,
+        type: 'string',
+        hasValidator: false,
+        hasDefault: false
+      });
+      expect(description.params[1]).to.include({ hasValidator: true, hasDefault: true, default: 80 });
+      expect(description.params[2]).to.include({ hasDefault: true }).and.not.have.property('default');
+      expect(description.params[3]).to.include({ isSet: true, itemName: 'role', onDuplicate: 'ignore' });
+      expect(description.params[3].default).to.deep.equal(['admin']);
+      expect(description.params[4].builder.params[0]).to.include({ name: 'cert', type: 'string' });
+      expect(description.params[5]).to.include({ type: 'Date', key: 'created_at' });
+      expect(description.options).to.deep.equal({
+        typeCheck: 'set', argStyle: 'positional', invoke: 'new', unknownKeys: 'throw', staged: false,
+        naming: 'set', immutable: false, collectErrors: false, freeze: false, record: false,
+        cache: false
+      });
+      expect(description.constraints).to.deep.equal([{ rule: 'allOrNone', params: ['tls', 'created'] }]);
+      expect(JSON.parse(JSON.stringify(description))).to.deep.equal(description);
+    });
+
+    it('tells which params are set and which are missing', function() {
+      const builder = (new Bldr()).setPort(8080);
+      expect(builder.isSet('port')).to.be.true;
+      expect(builder.isSet('host')).to.be.false;
+      expect(builder.isSet('roles')).to.be.false;
+      expect(builder.missing()).to.deep.equal(['host']);
+      expect(builder.setHost('example.com').missing()).to.deep.equal([]);
+      expect(() => builder.isSet('nope')).to.throw(UnknownParameterError, 'Unknown parameter nope');
+    });
+    it('reports missing params without running default functions', function() {
+      let calls = 0;
+      const Derived = new Builder([
+        { name: 'a', isRequired: true, type: 'string' },
+        { name: 'b', isRequired: true, default: args => { calls++; return args.a.toUpperCase() } }
+      ], null, { invoke: 'none' });
+      expect(new Derived().missing()).to.deep.equal(['a']);
+      expect(calls).to.equal(0);
+      const report = new Derived().validate();
+      expect(report.map(entry => entry.kind)).to.deep.equal(['MissingArgumentError']);
+      expect(report[0].params).to.deep.equal(['a']);
+      expect(() => new Derived().build()).to.throw(MissingArgumentError);
+      expect(new Derived().setA('x').build().b).to.equal('X');
+    });
+    it('lists only params without a default in missing(), though build() also reports undefined defaults', function() {
+      const Derived = new Builder([{ name: 'a', isRequired: true, default: () => undefined }], null, { invoke: 'none' });
+      expect(new Derived().missing()).to.deep.equal([]);
+      expect(() => new Derived().build()).to.throw(MissingArgumentError, 'a');
+    });
+    it('leaves only the defaults that read a missing param unresolved', function() {
+      const copyArgs = { name: 'copy', beforeBuild: args => Object.assign({}, args) };
+      const Derived = new Builder([
+        { name: 'a', isRequired: true, type: 'string' },
+        { name: 'b', isRequired: true, default: args => args.a.toUpperCase() },
+        { name: 'c', isRequired: true, default: args => args.b + '!' }
+      ], null, { invoke: 'none', collectErrors: true, plugins: [copyArgs] });
+      const report = new Derived().validate();
+      expect(report.map(entry => entry.params)).to.deep.equal([['a']]);
+      const Broken = new Builder([
+        { name: 'a', isRequired: true },
+        { name: 'b', default: () => { throw new RangeError('no b') } }
+      ], null, { invoke: 'none' });
+      expect(() => new Broken().build()).to.throw(RangeError, 'no b');
+      expect(() => new Broken().validate()).to.throw(RangeError, 'no b');
+      const Async = new Builder([
+        { name: 'a', isRequired: true },
+        { name: 'b', isRequired: true, default: async args => `${await args.a}!` }
+      ], null, { invoke: 'none', collectErrors: true });
+      return new Async().validateAsync().then(asyncReport => {
+        expect(asyncReport.map(entry => entry.params)).to.deep.equal([['a']]);
+      });
+    });
+
+    it('unsets params and resets builders', function() {
+      const builder = (new Bldr()).setHost('a').setPort(1);
+      expect(builder.unset('port').isSet('port')).to.be.false;
+      expect(builder.build().args[1]).to.equal(80);
+      expect(builder.reset().isSet('host')).to.be.false;
+      const Immutable = new Builder([{ name: 'param' }], TestConstructor, { immutable: true });
+      const original = (new Immutable()).setParam(1);
+      expect(original.unset('param').isSet('param')).to.be.false;
+      expect(original.reset().isSet('param')).to.be.false;
+      expect(original.isSet('param')).to.be.true;
+      expect(() => original.unset('nope')).to.throw(UnknownParameterError);
+    });
+  }); // end describe introspection
+
+  describe('construction modes', function() {
+    const spec = [
+      { name: 'param1' },
+      { name: 'param2', isPositional: true },
+      { name: 'param3' }
+    ];
+
+    it('rejects invalid argStyle and invoke options', function() {
+      expect(function() {
+        return new Builder([], TestConstructor, { argStyle: 'keyword' });
+      }).to.throw(TypeError, 'argStyle');
+      expect(function() {
+        return new Builder([], TestConstructor, { invoke: 'apply' });
+      }).to.throw(TypeError, 'invoke');
+    });
+
+    it('passes a single object of named args', function() {
+      const Bldr = new Builder([{ name: 'param1' }, { name: 'param2' }, { name: 'param3' }], TestConstructor, { argStyle: 'named' });
+      const buildResult = (new Bldr()).setParam3(3).setParam1(1).build();
+      expect(buildResult.args).to.deep.equal([{ param1: 1, param3: 3 }]);
+      expect(buildResult.cnstrTest).to.equal(constructorMsg);
+    });
+
+    it('passes positional params before the named args', function() {
+      const Bldr = new Builder(spec, TestConstructor, { argStyle: 'named' });
+      const buildResult = (new Bldr()).setParam1(1).setParam2(2).setParam3(3).build();
+      expect(buildResult.args).to.deep.equal([2, { param1: 1, param3: 3 }]);
+    });
+
+    it('requires argStyle "named" for positional params', function() {
+      expect(function() {
+        return new Builder(spec, TestConstructor);
+      }).to.throw(ParamSpecTypeError, 'isPositional');
+    });
+
+    it('calls a factory function without new', function() {
+      let calledWithNew;
+      function factory(options) {
+        calledWithNew = this instanceof factory;
+        return { created: options };
+      }
+      const Bldr = new Builder([{ name: 'param' }], factory, { argStyle: 'named', invoke: 'call' });
+      expect((new Bldr()).setParam(1).build()).to.deep.equal({ created: { param: 1 } });
+      expect(calledWithNew).to.be.false;
+    });
+
+    it('returns the plain args object without a constructor', function() {
+      const Bldr = new Builder([
+        { name: 'param1', isRequired: true },
+        { name: 'param2', default: 2 },
+        { name: 'param3' }
+      ], null, { invoke: 'none' });
+      expect((new Bldr()).setParam1(1).build()).to.deep.equal({ param1: 1, param2: 2 });
+      expect(function() { (new Bldr()).build(); }).to.throw(MissingArgumentError);
+    });
+  }); // end describe construction modes
+
+  describe('#build() with ES2015 classes', function() {
+    class Base {
+      constructor(name) {
+        this.name = name;
+        this.target = new.target;
+      }
+      greet() { return `hello ${this.name}`; }
+    }
+    class Derived extends Base {
+      constructor(name, extra) {
+        super(name);
+        this.extra = extra;
+      }
+    }
+
+    it('constructs native classes', function() {
+      const Bldr = new Builder([{ name: 'name' }], Base);
+      const buildResult = (new Bldr()).setName('base').build();
+      expect(buildResult).to.be.an.instanceof(Base);
+      expect(buildResult.constructor).to.equal(Base);
+      expect(buildResult.hasOwnProperty('constructor')).to.be.false;
+      expect(buildResult.target).to.equal(Base);
+      expect(buildResult.greet()).to.equal('hello base');
+    });
+
+    it('constructs subclasses through their super() chain', function() {
+      const Bldr = new Builder([{ name: 'name' }, { name: 'extra' }], Derived);
+      const buildResult = (new Bldr()).setName('derived').setExtra(1).build();
+      expect(buildResult).to.be.an.instanceof(Derived);
+      expect(buildResult).to.be.an.instanceof(Base);
+      expect(Object.getPrototypeOf(buildResult)).to.equal(Derived.prototype);
+      expect(buildResult.constructor).to.equal(Derived);
+      expect(buildResult.target).to.equal(Derived);
+      expect(buildResult.name).to.equal('derived');
+      expect(buildResult.extra).to.equal(1);
+      expect(buildResult.greet()).to.equal('hello derived');
+    });
+
+    it('constructs subclasses of built-ins', function() {
+      class CustomError extends Error {
+        constructor(message, code) {
+          super(message);
+          this.code = code;
+        }
+      }
+      class CustomMap extends Map {}
+      class CustomArray extends Array {}
+
+      const error = (new (new Builder([{ name: 'message' }, { name: 'code' }], CustomError))())
+        .setMessage('oops').setCode(42).build();
+      expect(error).to.be.an.instanceof(CustomError);
+      expect(error).to.be.an.instanceof(Error);
+      expect(error.message).to.equal('oops');
+      expect(error.code).to.equal(42);
+      expect(error.stack).to.be.a('string');
+
+      const map = (new (new Builder([{ name: 'entries' }], CustomMap))()).setEntries([['key', 'value']]).build();
+      expect(map).to.be.an.instanceof(CustomMap);
+      expect(map.get('key')).to.equal('value');
+
+      const array = (new (new Builder([{ name: 'first' }, { name: 'second' }], CustomArray))()).setFirst(1).setSecond(2).build();
+      expect(array).to.be.an.instanceof(CustomArray);
+      expect(Array.isArray(array)).to.be.true;
+      expect(array.length).to.equal(2);
+      array.push(3);
+      expect(array.length).to.equal(3);
+    });
+
+    it('returns the object returned by a constructor', function() {
+      const explicit = { explicit: true };
+      class ReturnsObject {
+        constructor() { return explicit; }
+      }
+      function ReturnsObjectFn() { return explicit; }
+      expect((new (new Builder([], ReturnsObject))()).build()).to.equal(explicit);
+      expect((new (new Builder([], ReturnsObjectFn))()).build()).to.equal(explicit);
+      expect(explicit.hasOwnProperty('constructor')).to.be.false;
+    });
+  }); // end describe #build() with ES2015 classes
+
+  describe('.extend()', function() {
+    class BaseRequest {
+      constructor(url, timeout) {
+        this.url = url;
+        this.timeout = timeout;
+      }
+    }
+    class HttpRequest extends BaseRequest {
+      constructor(url, timeout, method, headers) {
+        super(url, timeout);
+        this.method = method;
+        this.headers = headers;
+      }
+    }
+    class AuthenticatedHttpRequest extends HttpRequest {
+      constructor(url, timeout, method, headers, token) {
+        super(url, timeout, method, headers);
+        this.token = token;
+      }
+    }
+    const BaseRequestBuilder = new Builder([
+      { name: 'url', isRequired: true },
+      { name: 'timeout', default: 1000 }
+    ], BaseRequest);
+    const HttpRequestBuilder = BaseRequestBuilder.extend([
+      { name: 'method', default: 'GET' },
+      { name: 'headers', isMap: true, itemName: 'header' }
+    ], HttpRequest);
+    const AuthenticatedHttpRequestBuilder = HttpRequestBuilder.extend([
+      { name: 'token', isRequired: true }
+    ], AuthenticatedHttpRequest);
+
+    it('inherits params and appends new ones', function() {
+      const request = (new AuthenticatedHttpRequestBuilder())
+        .setUrl('http://example.com')
+        .addHeader('accept', '*/*')
+        .setToken('secret')
+        .build();
+      expect(request).to.be.an.instanceof(AuthenticatedHttpRequest);
+      expect(request.url).to.equal('http://example.com');
+      expect(request.timeout).to.equal(1000);
+      expect(request.method).to.equal('GET');
+      expect(request.headers).to.deep.equal({ accept: '*/*' });
+      expect(request.token).to.equal('secret');
+      expect(function() {
+        (new AuthenticatedHttpRequestBuilder()).setUrl('http://example.com').build();
+      }).to.throw(MissingArgumentError, 'token');
+    });
+
+    it('leaves the parent builder unchanged', function() {
+      const builder = new BaseRequestBuilder();
+      expect(builder.setMethod).to.be.undefined;
+      expect(builder.setUrl('http://example.com').build()).to.be.an.instanceof(BaseRequest);
+    });
+
+    it('makes instances of the subclass builder instances of the parent builder', function() {
+      const builder = new AuthenticatedHttpRequestBuilder();
+      expect(builder).to.be.an.instanceof(AuthenticatedHttpRequestBuilder);
+      expect(builder).to.be.an.instanceof(HttpRequestBuilder);
+      expect(builder).to.be.an.instanceof(BaseRequestBuilder);
+      expect(Object.getPrototypeOf(AuthenticatedHttpRequestBuilder)).to.equal(HttpRequestBuilder);
+    });
+
+    it('inherits the constructor and options when not given', function() {
+      const StrictBuilder = new Builder([{ name: 'param1', type: 'string' }], TestConstructor, { typeCheck: 'build' });
+      const Sub = StrictBuilder.extend([{ name: 'param2' }]);
+      const builder = (new Sub()).setParam1(1);
+      expect(function() { builder.build(); }).to.throw(InvalidArgumentError);
+      expect((new Sub()).setParam1('1').setParam2(2).build().args).to.deep.equal(['1', 2]);
+    });
+
+    it('accumulates constraints', function() {
+      const Base = new Builder([{ name: 'param1' }, { name: 'param2' }], TestConstructor,
+        { constraints: [Builder.allOrNone('param1', 'param2')] });
+      const Sub = Base.extend([{ name: 'param3' }], undefined, { validate: args => args.param3 !== 0 });
+      expect(function() { (new Sub()).setParam1(1).build(); }).to.throw(ConstraintViolationError, 'allOrNone');
+      expect(function() { (new Sub()).setParam3(0).build(); }).to.throw(ConstraintViolationError, 'validate');
+    });
+
+    it('overrides inherited params in place', function() {
+      const Sub = HttpRequestBuilder.extend([
+        { name: 'timeout', override: true, default: 5000 },
+        { name: 'headers', override: true, itemName: 'httpHeader' }
+      ], HttpRequest);
+      const request = (new Sub()).setUrl('http://example.com').addHttpHeader('accept', '*/*').build();
+      expect(request.timeout).to.equal(5000);
+      expect(request.headers).to.deep.equal({ accept: '*/*' });
+      expect((new Sub()).addHeader).to.be.undefined;
+    });
+
+    it('removes inherited params', function() {
+      const Sub = HttpRequestBuilder.extend([{ name: 'headers', remove: true }], BaseRequest);
+      const builder = new Sub();
+      expect(builder.setHeaders).to.be.undefined;
+      expect(builder.addHeader).to.be.undefined;
+      expect(builder.setMethod).to.be.a('function');
+    });
+
+    it('rejects param name collisions', function() {
+      expect(function() {
+        HttpRequestBuilder.extend([{ name: 'method' }]);
+      }).to.throw(ParamSpecTypeError, 'already inherited');
+      expect(function() {
+        return new Builder([{ name: 'param' }, { name: 'param' }], TestConstructor);
+      }).to.throw(ParamSpecTypeError, 'more than once');
+    });
+
+    it('rejects overriding or removing params that are not inherited', function() {
+      expect(function() {
+        HttpRequestBuilder.extend([{ name: 'body', override: true }]);
+      }).to.throw(ParamSpecTypeError, 'not inherited');
+      expect(function() {
+        HttpRequestBuilder.extend([{ name: 'body', remove: true }]);
+      }).to.throw(ParamSpecTypeError, 'not inherited');
+    });
+
+    it('rejects conflicting list or map redefinitions', function() {
+      expect(function() {
+        HttpRequestBuilder.extend([{ name: 'headers', override: true, isMap: false, isList: true }]);
+      }).to.throw(ParamSpecTypeError, 'isList');
+      expect(function() {
+        HttpRequestBuilder.extend([{ name: 'method', override: true, isMap: true }]);
+      }).to.throw(ParamSpecTypeError, 'isMap');
+    });
+  }); // end describe .extend()
+
+  describe('nested builders', function() {
+    class TlsConfig {
+      constructor(cert, key) {
+        this.cert = cert;
+        this.key = key;
+      }
+    }
+    class Server {
+      constructor(host, tls, routes, upstreams) {
+        this.host = host;
+        this.tls = tls;
+        this.routes = routes;
+        this.upstreams = upstreams;
+      }
+    }
+    const TlsConfigBuilder = new Builder([
+      { name: 'cert', isRequired: true },
+      { name: 'key', isRequired: true }
+    ], TlsConfig);
+    const RouteBuilder = new Builder([
+      { name: 'path', isRequired: true }
+    ], null, { invoke: 'none' });
+    const ServerBuilder = new Builder([
+      { name: 'host', isRequired: true },
+      { name: 'tls', builder: TlsConfigBuilder, type: TlsConfig },
+      { name: 'routes', isList: true, itemName: 'route', builder: RouteBuilder },
+      { name: 'upstreams', isMap: true, itemName: 'upstream', builder: RouteBuilder }
+    ], Server);
+
+    it('rejects a builder that is not a builder class', function() {
+      expect(function() {
+        return new Builder([{ name: 'tls', builder: TlsConfig }], Server);
+      }).to.throw(ParamSpecTypeError, 'builder');
+    });
+
+    it('configures a nested builder with a callback', function() {
+      const server = (new ServerBuilder())
+        .setHost('localhost')
+        .editTls(b => b.setCert('cert'))
+        .editTls(b => b.setKey('key'))
+        .build();
+      expect(server.tls).to.be.an.instanceof(TlsConfig);
+      expect(server.tls.cert).to.equal('cert');
+      expect(server.tls.key).to.equal('key');
+    });
+
+    it('opens a nested builder that returns to its parent with done()', function() {
+      const server = (new ServerBuilder())
+        .editTls()
+          .setCert('cert')
+          .setKey('key')
+          .done()
+        .setHost('localhost')
+        .build();
+      expect(server.host).to.equal('localhost');
+      expect(server.tls.cert).to.equal('cert');
+      expect(function() { (new TlsConfigBuilder()).done(); }).to.throw(Error, 'done()');
+    });
+
+    it('still accepts built objects and nested builders with the setter', function() {
+      const tls = new TlsConfig('cert', 'key');
+      expect((new ServerBuilder()).setHost('localhost').setTls(tls).build().tls).to.equal(tls);
+      const tlsBuilder = (new TlsConfigBuilder()).setCert('cert').setKey('key');
+      expect((new ServerBuilder()).setHost('localhost').setTls(tlsBuilder).build().tls).to.deep.equal(tls);
+    });
+
+    it('builds list and map items through add<ItemName>', function() {
+      const server = (new ServerBuilder())
+        .setHost('localhost')
+        .addRoute(b => b.setPath('/a'))
+        .addRoute({ path: '/b' })
+        .addRoute().setPath('/c').done()
+        .addUpstream('api', b => b.setPath('/api'))
+        .addUpstream('web').setPath('/web').done()
+        .build();
+      expect(server.routes).to.deep.equal([{ path: '/a' }, { path: '/b' }, { path: '/c' }]);
+      expect(server.upstreams).to.deep.equal({ api: { path: '/api' }, web: { path: '/web' } });
+    });
+
+    it('does not replace nested builders held by the parent builder', function() {
+      const builder = (new ServerBuilder()).setHost('localhost').addRoute(b => b.setPath('/a'));
+      builder.build();
+      expect(builder.args.routes[0]).to.be.an.instanceof(RouteBuilder);
+      expect(builder.build().routes).to.deep.equal([{ path: '/a' }]);
+    });
+
+    it('reports validation errors by their dotted paths', function() {
+      const builder = (new ServerBuilder())
+        .editTls(b => b.setKey('key'))
+        .addRoute(b => b)
+        .addUpstream('api', b => b);
+      expect(builder.validate().map(entry => entry.params[0])).to.deep.equal([
+        'host',
+        'tls.cert',
+        'routes.0.path',
+        'upstreams.api.path'
+      ]);
+      expect(function() {
+        (new ServerBuilder()).setHost('localhost').editTls(b => b.setKey('key')).build();
+      }).to.throw(MissingArgumentError, 'tls.cert');
+    });
+  }); // end describe nested builders
+
+  describe('immutable builders', function() {
+    const ChildBuilder = new Builder([{ name: 'value' }], null, { invoke: 'none', immutable: true });
+    const Bldr = new Builder([
+      { name: 'param' },
+      { name: 'list', isList: true },
+      { name: 'map', isMap: true },
+      { name: 'child', builder: ChildBuilder }
+    ], TestConstructor, { immutable: true });
+
+    it('return a new builder from each setter and adder', function() {
+      const base = new Bldr();
+      const withParam = base.setParam(1);
+      const withList = withParam.addList('item');
+      const withMap = withList.addMap('key', 'value');
+      expect(withParam).to.not.equal(base);
+      expect(withList).to.not.equal(withParam);
+      expect(withMap).to.not.equal(withList);
+      expect(withMap).to.be.an.instanceof(Bldr);
+      expect(base.build().args).to.deep.equal([undefined, undefined, undefined, undefined]);
+      expect(withParam.build().args).to.deep.equal([1, undefined, undefined, undefined]);
+      expect(withList.build().args).to.deep.equal([1, ['item'], undefined, undefined]);
+      expect(withMap.build().args).to.deep.equal([1, ['item'], { key: 'value' }, undefined]);
+    });
+
+    it('share unchanged args with the builder they came from', function() {
+      const base = (new Bldr()).addList('item');
+      expect(base.setParam(1).args.list).to.equal(base.args.list);
+    });
+
+    it('can derive many variants from one template', function() {
+      const template = (new Bldr()).addList('shared');
+      const variant1 = template.addList('variant 1').addMap('key', 1);
+      const variant2 = template.addList('variant 2').addMap('key', 2);
+      expect(variant1.build().args.slice(1, 3)).to.deep.equal([['shared', 'variant 1'], { key: 1 }]);
+      expect(variant2.build().args.slice(1, 3)).to.deep.equal([['shared', 'variant 2'], { key: 2 }]);
+      expect(template.build().args[1]).to.deep.equal(['shared']);
+    });
+
+    it('keep nested builders immutable', function() {
+      const base = new Bldr();
+      const withChild = base.editChild(b => b.setValue(1));
+      expect(withChild.build().args[3]).to.deep.equal({ value: 1 });
+      const opened = withChild.editChild();
+      const variant1 = opened.setValue(2).done();
+      const variant2 = opened.setValue(3).done();
+      expect(variant1.build().args[3]).to.deep.equal({ value: 2 });
+      expect(variant2.build().args[3]).to.deep.equal({ value: 3 });
+      expect(withChild.build().args[3]).to.deep.equal({ value: 1 });
+      expect(base.args.child).to.be.undefined;
+    });
+
+    it('copy mutable nested builders before editing them', function() {
+      const MutableChild = new Builder([{ name: 'cert' }], null, { invoke: 'none' });
+      const Parent = new Builder([{ name: 'tls', builder: MutableChild }], null, { invoke: 'none', immutable: true });
+      const base = new Parent();
+      const v1 = base.editTls(tls => tls.setCert('a'));
+      const v2 = v1.editTls(tls => tls.setCert('b'));
+      expect(v1.build()).to.deep.equal({ tls: { cert: 'a' } });
+      expect(v2.build()).to.deep.equal({ tls: { cert: 'b' } });
+    });
+  }); // end describe immutable builders
+
+  describe('#clone()', function() {
+    const ChildBuilder = new Builder([{ name: 'value' }], null, { invoke: 'none' });
+    const Bldr = new Builder([
+      { name: 'list', isList: true },
+      { name: 'map', isMap: true },
+      { name: 'child', builder: ChildBuilder }
+    ], TestConstructor);
+
+    it('copies a mutable builder so the copies change independently', function() {
+      const original = (new Bldr()).addList('item').addMap('key', 'value').editChild(b => b.setValue(1));
+      const copy = original.clone();
+      expect(copy).to.be.an.instanceof(Bldr);
+      copy.addList('another item').addMap('key', 'another value').editChild(b => b.setValue(2));
+      expect(original.build().args).to.deep.equal([['item'], { key: 'value' }, { value: 1 }]);
+      expect(copy.build().args).to.deep.equal([['item', 'another item'], { key: 'another value' }, { value: 2 }]);
+    });
+  }); // end describe #clone()
+
+  describe('#build() list and map args', function() {
+    it('are copied, so the builder and built objects do not share them', function() {
+      const Bldr = new Builder([
+        { name: 'list', isList: true },
+        { name: 'map', isMap: true }
+      ], TestConstructor);
+      const builder = (new Bldr()).addList('item').addMap('key', 'value');
+      const built1 = builder.build();
+      builder.addList('later item').addMap('later key', 'later value');
+      const built2 = builder.build();
+      expect(built1.args).to.deep.equal([['item'], { key: 'value' }]);
+      expect(built2.args).to.deep.equal([['item', 'later item'], { key: 'value', 'later key': 'later value' }]);
+      expect(built1.args[0]).to.not.equal(built2.args[0]);
+      expect(built1.args[0]).to.not.equal(builder.args.list);
+    });
+  }); // end describe #build() list and map args
+
+  describe('collection kinds', function() {
+    it('removes, checks, clears and adds many list and map items', function() {
+      const Bldr = new Builder([
+        { name: 'tags', isList: true, itemName: 'tag' },
+        { name: 'labels', isMap: true, itemName: 'label' }
+      ], TestConstructor);
+      const builder = (new Bldr())
+        .addAllTags(['a', 'b', 'a', 'c'])
+        .removeTag('a')
+        .addAllLabels({ env: 'prod', tier: 'web' })
+        .removeLabel('tier');
+      expect(builder.hasTag('b')).to.be.true;
+      expect(builder.hasTag('a')).to.be.false;
+      expect(builder.hasLabel('env')).to.be.true;
+      expect(builder.build().args).to.deep.equal([['b', 'c'], { env: 'prod' }]);
+      expect(builder.clearTags().build().args).to.deep.equal([[], { env: 'prod' }]);
+      expect((new Bldr()).removeTag('a').args.tags).to.be.undefined;
+      expect((new Bldr()).hasLabel('env')).to.be.false;
+    });
+
+    it('builds sets that ignore duplicates', function() {
+      const Bldr = new Builder([
+        { name: 'roles', isSet: true, itemName: 'role', itemType: 'string' }
+      ], TestConstructor);
+      const built = (new Bldr()).setRoles(['admin', 'dev', 'admin']).addRole('dev').addRole('ops').build();
+      expect(built.args[0]).to.be.an.instanceof(Set);
+      expect(Array.from(built.args[0])).to.deep.equal(['admin', 'dev', 'ops']);
+      const builder = (new Bldr()).setRoles(new Set(['admin'])).removeRole('admin');
+      expect(builder.hasRole('admin')).to.be.false;
+      expect(() => (new Bldr()).addRole(1)).to.throw(InvalidArgumentError);
+      expect(() => (new Bldr()).setRoles('admin')).to.throw(TypeError, 'Set parameter roles expects a Set or an array.');
+    });
+
+    it('builds ES Maps, whose keys need not be strings', function() {
+      const Bldr = new Builder([
+        { name: 'handlers', isMap: true, mapType: 'Map', itemName: 'handler', itemType: 'function' }
+      ], TestConstructor);
+      const onError = () => {};
+      const built = (new Bldr()).addHandler(404, onError).addAllHandlers({ default: onError }).build();
+      expect(built.args[0]).to.be.an.instanceof(Map);
+      expect(Array.from(built.args[0].keys())).to.deep.equal([404, 'default']);
+      expect((new Bldr()).setHandlers([[500, onError]]).hasHandler(500)).to.be.true;
+      expect((new Bldr()).setHandlers(new Map([[500, onError]])).removeHandler(500).args.handlers.size).to.equal(0);
+    });
+
+    it('builds keyed lists, with a key property or function', function() {
+      const Bldr = new Builder([
+        { name: 'servers', isList: true, keyBy: 'host', itemName: 'server' },
+        { name: 'users', isList: true, keyBy: user => user.id.toLowerCase(), itemName: 'user' }
+      ], TestConstructor);
+      const builder = (new Bldr())
+        .addServer({ host: 'a', port: 80 })
+        .addServer({ host: 'b', port: 80 })
+        .addServer({ host: 'a', port: 8080 })
+        .addUser({ id: 'Ann' })
+        .addUser({ id: 'ANN', admin: true });
+      expect(builder.hasServer('b')).to.be.true;
+      expect(builder.removeServer('b').build().args).to.deep.equal([
+        [{ host: 'a', port: 8080 }],
+        [{ id: 'ANN', admin: true }]
+      ]);
+    });
+
+    it('applies the onDuplicate policy', function() {
+      const Bldr = new Builder([
+        { name: 'labels', isMap: true, itemName: 'label', onDuplicate: 'throw' },
+        { name: 'servers', isList: true, keyBy: 'host', itemName: 'server', onDuplicate: 'ignore' },
+        { name: 'roles', isSet: true, itemName: 'role', onDuplicate: 'throw' }
+      ], TestConstructor);
+      let err;
+      try {
+        (new Bldr()).addLabel('env', 'prod').addLabel('env', 'dev');
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.be.an.instanceof(DuplicateItemError);
+      expect(err.paramName).to.equal('labels');
+      expect(err.key).to.equal('env');
+      expect(err.message).to.equal('Parameter labels already has an item "env"');
+      expect(() => (new Bldr()).setRoles(['admin', 'admin'])).to.throw(DuplicateItemError);
+      const built = (new Bldr()).addServer({ host: 'a', port: 1 }).addServer({ host: 'a', port: 2 }).build();
+      expect(built.args[1]).to.deep.equal([{ host: 'a', port: 1 }]);
+    });
+
+    it('copies collections in immutable mode', function() {
+      const Bldr = new Builder([
+        { name: 'roles', isSet: true, itemName: 'role' },
+        { name: 'handlers', isMap: true, mapType: 'Map', itemName: 'handler' }
+      ], TestConstructor, { immutable: true });
+      const base = (new Bldr()).addRole('admin').addHandler(1, 'one');
+      const changed = base.addRole('dev').removeHandler(1);
+      expect(Array.from(base.args.roles)).to.deep.equal(['admin']);
+      expect(base.hasHandler(1)).to.be.true;
+      expect(Array.from(changed.args.roles)).to.deep.equal(['admin', 'dev']);
+      expect(changed.hasHandler(1)).to.be.false;
+    });
+
+    it('serializes Sets and Maps as arrays in toJSON()', function() {
+      const Bldr = new Builder([
+        { name: 'roles', isSet: true },
+        { name: 'handlers', isMap: true, mapType: 'Map' }
+      ], TestConstructor);
+      const builder = (new Bldr()).setRoles(['admin']).setHandlers({ a: 1 });
+      const json = JSON.parse(JSON.stringify(builder));
+      expect(json).to.deep.equal({ roles: ['admin'], handlers: [['a', 1]] });
+      expect(builder.toObject().roles).to.be.an.instanceof(Set);
+      const restored = Bldr.from(json).build();
+      expect(restored.args[1].get('a')).to.equal(1);
+    });
+
+    it('rejects invalid collection declarations', function() {
+      expect(() => new Builder([{ name: 'p', isList: true, isSet: true }], TestConstructor))
+        .to.throw(ParamSpecTypeError, 'isList, isMap and isSet are mutually exclusive');
+      expect(() => new Builder([{ name: 'p', isMap: true, keyBy: 'id' }], TestConstructor)).to.throw(ParamSpecTypeError, 'keyBy');
+      expect(() => new Builder([{ name: 'p', isMap: true, mapType: 'WeakMap' }], TestConstructor)).to.throw(ParamSpecTypeError, 'mapType');
+      expect(() => new Builder([{ name: 'p', isList: true, onDuplicate: 'throw' }], TestConstructor)).to.throw(ParamSpecTypeError, 'onDuplicate');
+      expect(() => new Builder([{ name: 'p', isSet: true, default: 'a' }], TestConstructor))
+        .to.throw(ParamSpecTypeError, 'default for a set parameter must be a Set or an array');
+      expect(() => new Builder([{ name: 'p', isSet: true, onDuplicate: 'throw', default: ['a', 'a'] }], TestConstructor))
+        .to.throw(ParamSpecTypeError, 'invalid default');
+    });
+  }); // end describe collection kinds
+
+  describe('conversion to and from plain objects', function() {
+    class TlsConfig {
+      constructor(cert) {
+        this.cert = cert;
+      }
+    }
+    class Server {
+      constructor(host, port, tls, tags, labels) {
+        this.host = host;
+        this.port = port;
+        this.tls = tls;
+        this.tags = tags;
+        this.labels = labels;
+      }
+    }
+    const TlsConfigBuilder = new Builder([{ name: 'cert', key: 'certificate' }], TlsConfig);
+    const ServerBuilder = new Builder([
+      { name: 'host', isRequired: true, aliases: ['hostname'] },
+      { name: 'port', key: 'listen_port', type: 'number' },
+      { name: 'tls', builder: TlsConfigBuilder },
+      { name: 'tags', isList: true, itemName: 'tag' },
+      { name: 'labels', isMap: true, itemName: 'label' }
+    ], Server);
+
+    it('rejects invalid keys and aliases', function() {
+      expect(function() {
+        return new Builder([{ name: 'param', key: 1 }], TestConstructor);
+      }).to.throw(ParamSpecTypeError, 'key');
+      expect(function() {
+        return new Builder([{ name: 'param', aliases: 'alias' }], TestConstructor);
+      }).to.throw(ParamSpecTypeError, 'aliases');
+      expect(function() {
+        return new Builder([{ name: 'param1' }, { name: 'param2', aliases: ['param1'] }], TestConstructor);
+      }).to.throw(ParamSpecTypeError, 'already used');
+    });
+
+    describe('.from(object)', function() {
+      it('sets params by name, key or alias', function() {
+        const server = ServerBuilder.from({
+          hostname: 'localhost',
+          listen_port: 80,
+          tags: ['a'],
+          labels: { env: 'prod' }
+        }).build();
+        expect(server.host).to.equal('localhost');
+        expect(server.port).to.equal(80);
+        expect(server.tags).to.deep.equal(['a']);
+        expect(server.labels).to.deep.equal({ env: 'prod' });
+        expect(ServerBuilder.from({ host: 'localhost', port: 80 }).build().port).to.equal(80);
+      });
+
+      it('converts plain objects for nested builders', function() {
+        const builder = ServerBuilder.from({ host: 'localhost', tls: { certificate: 'cert' } });
+        expect(builder.args.tls).to.be.an.instanceof(TlsConfigBuilder);
+        expect(builder.build().tls).to.deep.equal(new TlsConfig('cert'));
+      });
+
+      it('checks the values it sets', function() {
+        expect(function() { ServerBuilder.from({ port: '80' }); }).to.throw(InvalidArgumentError);
+        expect(function() { ServerBuilder.from({ tags: 'a' }); }).to.throw(TypeError);
+      });
+
+      it('copies lists and maps from the object', function() {
+        const data = { host: 'localhost', tags: ['a'] };
+        ServerBuilder.from(data).addTag('b');
+        expect(data.tags).to.deep.equal(['a']);
+      });
+
+      it('throws, ignores or collects unknown keys', function() {
+        const data = { host: 'localhost', extra: 1 };
+        expect(function() { ServerBuilder.from(data); }).to.throw(UnknownParameterError, 'extra');
+        expect(ServerBuilder.from(data, { unknownKeys: 'ignore' }).build().host).to.equal('localhost');
+        expect(ServerBuilder.from(data, { unknownKeys: 'collect' }).extras).to.deep.equal({ extra: 1 });
+        const Lenient = new Builder([{ name: 'param' }], TestConstructor, { unknownKeys: 'ignore' });
+        expect(Lenient.from({ param: 1, extra: 1 }).build().args).to.deep.equal([1]);
+      });
+
+      it('keeps collected unknown keys on copies of the builder', function() {
+        const data = { host: 'localhost', extra: 1 };
+        const collected = ServerBuilder.from(data, { unknownKeys: 'collect' });
+        expect(collected.clone().extras).to.deep.equal({ extra: 1 });
+        const Immutable = new Builder([{ name: 'host' }], TestConstructor, { immutable: true, unknownKeys: 'collect' });
+        const immutable = Immutable.from(data);
+        expect(immutable.setHost('b').extras).to.deep.equal({ extra: 1 });
+        expect(immutable.setHost('b').clone().extras).to.deep.equal({ extra: 1 });
+      });
+    }); // end describe .from(object)
+
+    describe('.fromInstance(object)', function() {
+      it('populates a builder from a built object', function() {
+        const original = (new ServerBuilder()).setHost('localhost').setPort(80).addTag('a').build();
+        const builder = ServerBuilder.fromInstance(original);
+        const copy = builder.setPort(8080).addTag('b').build();
+        expect(copy).to.be.an.instanceof(Server);
+        expect(copy.host).to.equal('localhost');
+        expect(copy.port).to.equal(8080);
+        expect(copy.tags).to.deep.equal(['a', 'b']);
+        expect(original.port).to.equal(80);
+        expect(original.tags).to.deep.equal(['a']);
+      });
+
+      it('lets edit<Name>() modify a copy of a nested built object', function() {
+        const tls = new TlsConfig('cert');
+        const server = (new ServerBuilder()).setHost('localhost').setTls(tls).editTls(b => b.setCert('new cert')).build();
+        expect(server.tls.cert).to.equal('new cert');
+        expect(tls.cert).to.equal('cert');
+      });
+    }); // end describe .fromInstance(object)
+
+    describe('#toObject() and #toJSON()', function() {
+      const builder = (new ServerBuilder())
+        .setHost('localhost')
+        .setPort(80)
+        .editTls(b => b.setCert('cert'))
+        .addTag('a')
+        .addLabel('env', 'prod');
+
+      it('serialize the set args by name or key', function() {
+        expect(builder.toObject()).to.deep.equal({
+          host: 'localhost',
+          port: 80,
+          tls: { cert: 'cert' },
+          tags: ['a'],
+          labels: { env: 'prod' }
+        });
+        expect(builder.toJSON()).to.deep.equal({
+          host: 'localhost',
+          listen_port: 80,
+          tls: { certificate: 'cert' },
+          tags: ['a'],
+          labels: { env: 'prod' }
+        });
+        expect(builder.toObject().tags).to.not.equal(builder.args.tags);
+      });
+
+      it('round-trip through JSON to an identical build', function() {
+        const json = JSON.stringify(builder);
+        const restored = ServerBuilder.from(JSON.parse(json));
+        expect(restored.build()).to.deep.equal(builder.build());
+        expect(JSON.stringify(restored)).to.equal(json);
+      });
+    }); // end describe #toObject() and #toJSON()
+  }); // end describe conversion to and from plain objects
+
+  describe('.spec and .options', function() {
+    it('expose the normalized param specs and options', function() {
+      const Bldr = new Builder([
+        { name: 'param', itemName: 'ignored', isRequired: true },
+        { name: 'children', isList: true, itemName: 'child' }
+      ], TestConstructor, { typeCheck: 'build' });
+      expect(Bldr.spec.map(param => param.name)).to.deep.equal(['param', 'children']);
+      expect(Bldr.spec[0].isRequired).to.be.true;
+      expect(Bldr.spec[0].isList).to.be.false;
+      expect(Bldr.spec[0].itemName).to.be.undefined;
+      expect(Bldr.spec[0].methods).to.deep.equal({ set: 'setParam' });
+      expect(Bldr.spec[1].methods).to.deep.equal({
+        set: 'setChildren', add: 'addChild', remove: 'removeChild', has: 'hasChild',
+        clear: 'clearChildren', addAll: 'addAllChildren'
+      });
+      expect(Bldr.options.typeCheck).to.equal('build');
+      expect(Bldr.options.invoke).to.equal('new');
+      expect(Object.isFrozen(Bldr.spec)).to.be.true;
+    });
+    it('identify builder classes with Builder.isBuilderClass()', function() {
+      const Bldr = new Builder([{ name: 'user', isRequired: true }], TestConstructor);
+      const Staged = new Builder([{ name: 'user', isRequired: true }], TestConstructor, { staged: true });
+      expect(Builder.isBuilderClass(Bldr)).to.be.true;
+      expect(Builder.isBuilderClass(Staged)).to.be.true;
+      expect(Builder.isBuilderClass(Bldr.extend([{ name: 'role' }]))).to.be.true;
+      expect(Builder.isBuilderClass(TestConstructor)).to.be.false;
+      expect(Builder.isBuilderClass(new Bldr())).to.be.false;
+      expect(Builder.isBuilderClass({ spec: [] })).to.be.false;
+      expect(() => new Builder([{ name: 'child', builder: TestConstructor }], TestConstructor)).to.throw(ParamSpecTypeError);
+    });
+  }); // end describe .spec and .options
+
+  describe('frozen results and records', function() {
+    const PointBuilder = new Builder([
+      { name: 'x', type: 'number', isRequired: true },
+      { name: 'y', type: 'number', default: 0 }
+    ], null, { invoke: 'none', record: true });
+    const ShapeBuilder = new Builder([
+      { name: 'name', type: 'string' },
+      { name: 'points', isList: true, itemName: 'point', builder: PointBuilder },
+      { name: 'tags', isSet: true, itemName: 'tag' },
+      { name: 'styles', isMap: true, itemName: 'style', mapType: 'Map' },
+      { name: 'meta', type: 'object' }
+    ], null, { invoke: 'none', record: true });
+    function square(tags) {
+      let builder = new ShapeBuilder().setName('square').setMeta({ layer: 1 }).addStyle('fill', 'red');
+      for (const tag of tags) { builder = builder.addTag(tag) }
+      for (const point of [[0, 0], [1, 0], [1, 1], [0, 1]]) {
+        builder = builder.addPoint(child => child.setX(point[0]).setY(point[1]));
+      }
+      return builder.build();
+    }
+
+    it('deep-freezes built objects in freeze mode', function() {
+      class Config {
+        constructor(hosts, limits) { this.hosts = hosts; this.limits = limits }
+      }
+      const ConfigBuilder = new Builder([
+        { name: 'hosts', isList: true, itemName: 'host' },
+        { name: 'limits', isMap: true, itemName: 'limit', mapType: 'Map' }
+      ], Config, { freeze: true });
+      const config = new ConfigBuilder().addHost('a').addLimit('cpu', { max: 2 }).build();
+      expect(config).to.be.an.instanceof(Config);
+      expect(Object.isFrozen(config)).to.be.true;
+      expect(Object.isFrozen(config.hosts)).to.be.true;
+      expect(Object.isFrozen(config.limits.get('cpu'))).to.be.true;
+      expect(() => config.limits.set('memory', {})).to.throw(TypeError, /frozen/);
+      expect(() => config.limits.clear()).to.throw(TypeError, /frozen/);
+      expect(config.limits.size).to.equal(1);
+    });
+    it('leaves class instances passed in as args unfrozen', function() {
+      class Service {}
+      const service = new Service();
+      const options = { retries: 1 };
+      const ClientBuilder = new Builder([
+        { name: 'service', type: Service },
+        { name: 'options', type: 'object' },
+        { name: 'started', type: Date }
+      ], null, { invoke: 'none', record: true });
+      const client = new ClientBuilder().setService(service).setOptions(options).setStarted(new Date(0)).build();
+      expect(Object.isFrozen(client)).to.be.true;
+      expect(Object.isFrozen(options)).to.be.true;
+      expect(Object.isFrozen(service)).to.be.false;
+      expect(Object.isFrozen(client.started)).to.be.false;
+      service.listener = () => {};
+      expect(client.service.listener).to.be.a('function');
+    });
+    it('leaves built objects mutable by default', function() {
+      const Plain = new Builder([{ name: 'hosts', isList: true }], null, { invoke: 'none' });
+      expect(Object.isFrozen(new Plain().addHosts('a').build())).to.be.false;
+    });
+    it('builds frozen records with methods outside their keys', function() {
+      const shape = square(['a']);
+      expect(Object.isFrozen(shape)).to.be.true;
+      expect(() => shape.tags.add('b')).to.throw(TypeError, /frozen/);
+      expect(Object.keys(shape)).to.deep.equal(['name', 'points', 'tags', 'styles', 'meta']);
+      expect(JSON.parse(JSON.stringify(shape.points[0]))).to.deep.equal({ x: 0, y: 0 });
+    });
+    it('compares records structurally with equals()', function() {
+      expect(square(['a', 'b']).equals(square(['b', 'a']))).to.be.true;
+      expect(square(['a']).equals(square(['b']))).to.be.false;
+      expect(new PointBuilder().setX(1).build().equals(new PointBuilder().setX(1).setY(0).build())).to.be.true;
+      expect(new PointBuilder().setX(1).build().equals({ x: 1, y: 0 })).to.be.false;
+      expect(new PointBuilder().setX(1).build().equals(null)).to.be.false;
+      // Set items are matched one to one
+      const twice = new ShapeBuilder().setTags([{ a: 1 }, { a: 1 }]).build();
+      const once = new ShapeBuilder().setTags([{ a: 1 }, { a: 2 }]).build();
+      expect(twice.equals(once)).to.be.false;
+      expect(once.equals(twice)).to.be.false;
+      expect(once.equals(new ShapeBuilder().setTags([{ a: 2 }, { a: 1 }]).build())).to.be.true;
+    });
+    it('gives equal records equal hash codes', function() {
+      const hash = square(['a', 'b']).hashCode();
+      expect(hash).to.be.a('number');
+      expect(hash | 0).to.equal(hash);
+      expect(square(['b', 'a']).hashCode()).to.equal(hash);
+      expect(square(['c']).hashCode()).to.not.equal(hash);
+    });
+    it('compares and hashes records holding values that refer back to themselves', function() {
+      function loop(depth) {
+        let meta = { layer: 1 };
+        let last = meta;
+        for (let i = 1; i < depth; i++) { last = last.next = { layer: 1 } }
+        last.next = meta;
+        return new ShapeBuilder().setMeta(meta).build();
+      }
+      expect(loop(1).equals(loop(1))).to.be.true;
+      expect(loop(1).equals(loop(2))).to.be.true;
+      expect(loop(1).hashCode()).to.equal(loop(2).hashCode());
+      const other = { layer: 2 };
+      other.next = other;
+      expect(loop(1).equals(new ShapeBuilder().setMeta(other).build())).to.be.false;
+    });
+    it('makes modified copies with toBuilder()', function() {
+      const shape = square(['a']);
+      const renamed = shape.toBuilder().setName('box').addTag('b').build();
+      expect(renamed.name).to.equal('box');
+      expect(Array.from(renamed.tags)).to.deep.equal(['a', 'b']);
+      expect(renamed.points[0].equals(shape.points[0])).to.be.true;
+      expect(Array.from(shape.tags)).to.deep.equal(['a']);
+      expect(renamed.toBuilder().setName('square').removeTag('b').build().equals(shape)).to.be.true;
+    });
+    it('records async builds', function() {
+      const AsyncPoint = new Builder([{ name: 'x', default: async () => 1 }], null, { invoke: 'none', record: true });
+      return new AsyncPoint().buildAsync().then(point => {
+        expect(point.x).to.equal(1);
+        expect(point.equals(new AsyncPoint().setX(1).build())).to.be.true;
+      });
+    });
+    it('rejects params named after record methods, and results that are not objects', function() {
+      expect(() => new Builder([{ name: 'equals' }], null, { invoke: 'none', record: true })).to.throw(ParamSpecTypeError);
+      const Numbers = new Builder([{ name: 'n' }], n => n, { invoke: 'call', record: true });
+      expect(() => new Numbers().setN(1).build()).to.throw(TypeError, /objects/);
+    });
+  }); // end describe frozen results and records
+
+  describe('build cache', function() {
+    let constructed;
+    class Endpoint {
+      constructor(host, ports, auth, tls) {
+        constructed++;
+        Object.assign(this, { host, ports, auth, tls });
+      }
+    }
+    const TlsBuilder = new Builder([{ name: 'cert', type: 'string' }], null, { invoke: 'none' });
+    const EndpointBuilder = new Builder([
+      { name: 'host', type: 'string', isRequired: true },
+      { name: 'ports', isList: true, itemName: 'port', itemType: 'number' },
+      { name: 'auth', type: 'object', cacheKey: auth => auth.user },
+      { name: 'tls', builder: TlsBuilder }
+    ], Endpoint, { cache: { max: 2 } });
+    beforeEach(function() {
+      constructed = 0;
+      EndpointBuilder.clearCache();
+    });
+
+    it('returns the same frozen instance for structurally equal args', function() {
+      const first = new EndpointBuilder().setHost('a').addPort(80).editTls(tls => tls.setCert('x')).build();
+      const second = EndpointBuilder.from({ host: 'a', ports: [80], tls: { cert: 'x' } }).build();
+      expect(second).to.equal(first);
+      expect(constructed).to.equal(1);
+      expect(Object.isFrozen(first.ports)).to.be.true;
+      expect(new EndpointBuilder().setHost('a').addPort(81).build()).to.not.equal(first);
+    });
+    it('freezes only the cached object and its collections, not the services and values it holds', function() {
+      const EventEmitter = require('events');
+      const bus = new EventEmitter();
+      const auth = { user: 'u' };
+      const ServiceBuilder = new Builder([
+        { name: 'bus', type: EventEmitter },
+        { name: 'auth', type: 'object' },
+        { name: 'ports', isList: true, itemName: 'port' }
+      ], null, { invoke: 'none', cache: true });
+      const built = new ServiceBuilder().setBus(bus).setAuth(auth).addPort(80).build();
+      expect(Object.isFrozen(built)).to.be.true;
+      expect(Object.isFrozen(built.ports)).to.be.true;
+      expect(Object.isFrozen(auth)).to.be.false;
+      bus.on('message', () => {});
+      expect(bus.listenerCount('message')).to.equal(1);
+      expect(new ServiceBuilder().setBus(bus).setAuth({ user: 'u' }).addPort(80).build()).to.equal(built);
+    });
+    it('compares params with a cacheKey function by its result', function() {
+      const first = new EndpointBuilder().setHost('a').setAuth({ user: 'u', token: 1 }).build();
+      expect(new EndpointBuilder().setHost('a').setAuth({ user: 'u', token: 2 }).build()).to.equal(first);
+      expect(new EndpointBuilder().setHost('a').setAuth({ user: 'v', token: 1 }).build()).to.not.equal(first);
+    });
+    it('keys nested builders apart from plain values of the same args', function() {
+      const edited = new EndpointBuilder().setHost('a').editTls(tls => tls.setCert('x')).build();
+      const plain = new EndpointBuilder().setHost('a').setTls({ cert: 'x' }).build();
+      expect(plain).to.not.equal(edited);
+      expect(new EndpointBuilder().setHost('a').setTls({ cert: 'x' }).build()).to.equal(plain);
+    });
+    it('caches args that refer back to themselves', function() {
+      const Looped = new Builder([{ name: 'graph', type: 'object' }], null, { invoke: 'none', cache: true });
+      const graph = { name: 'a' };
+      graph.edges = [graph];
+      const copy = { name: 'a' };
+      copy.edges = [copy];
+      const built = new Looped().setGraph(graph).build();
+      expect(new Looped().setGraph(copy).build()).to.equal(built);
+    });
+    it('evicts the least recently used instance beyond max', function() {
+      const a = new EndpointBuilder().setHost('a').build();
+      new EndpointBuilder().setHost('b').build();
+      expect(new EndpointBuilder().setHost('a').build()).to.equal(a);
+      new EndpointBuilder().setHost('c').build(); // Evicts b
+      expect(new EndpointBuilder().setHost('a').build()).to.equal(a);
+      expect(constructed).to.equal(3);
+      new EndpointBuilder().setHost('b').build();
+      expect(constructed).to.equal(4);
+      expect(EndpointBuilder.cacheStats()).to.deep.equal({ size: 2, max: 2, hits: 2, misses: 4, evictions: 2 });
+    });
+    it('does not cache failed builds', function() {
+      expect(() => new EndpointBuilder().build()).to.throw(MissingArgumentError);
+      expect(() => new EndpointBuilder().build()).to.throw(MissingArgumentError);
+      expect(EndpointBuilder.cacheStats()).to.include({ size: 0, misses: 2 });
+    });
+    it('caches async builds', function() {
+      return new EndpointBuilder().setHost('a').buildAsync().then(first => {
+        expect(new EndpointBuilder().setHost('a').build()).to.equal(first);
+        return new EndpointBuilder().setHost('a').buildAsync().then(second => expect(second).to.equal(first));
+      });
+    });
+    it('is off by default', function() {
+      const Plain = new Builder([{ name: 'host' }], Endpoint);
+      expect(new Plain().setHost('a').build()).to.not.equal(new Plain().setHost('a').build());
+      expect(Plain.cacheStats()).to.be.undefined;
+    });
+    it('checks the cache option and cacheKey functions', function() {
+      expect(() => new Builder([], Endpoint, { cache: { max: 0 } })).to.throw(TypeError);
+      expect(() => new Builder([], Endpoint, { cache: 10 })).to.throw(TypeError);
+      expect(() => new Builder([{ name: 'host', cacheKey: 'id' }], Endpoint)).to.throw(ParamSpecTypeError);
+      expect(new Builder([], Endpoint, { cache: true }).describe().options.cache).to.deep.equal({ max: 100 });
+    });
+  }); // end describe build cache
 });
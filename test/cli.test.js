@@ -0,0 +1,156 @@
+const expect = require('chai').expect;
+const Builder = require('../builder');
+const cli = require('../cli');
+const fromCommandLine = cli.fromCommandLine;
+const usage = cli.usage;
+const InvalidArgumentError = Builder.InvalidArgumentError;
+const MissingArgumentError = Builder.MissingArgumentError;
+const UnknownParameterError = Builder.UnknownParameterError;
+
+const TlsBuilder = new Builder([
+  { name: 'cert', type: 'string', isRequired: true },
+  { name: 'verifyPeer', type: 'boolean', default: true }
+], null, { invoke: 'none' });
+const ServerBuilder = new Builder([
+  { name: 'host', type: 'string', isRequired: true, description: 'Host name to listen on', aliases: ['hostname'] },
+  { name: 'port', type: 'number', default: 80 },
+  { name: 'verbose', type: 'boolean' },
+  { name: 'startedAt', type: Date },
+  { name: 'tags', isList: true, itemName: 'tag', itemType: 'string' },
+  { name: 'limits', isMap: true, itemName: 'limit', itemType: 'number' },
+  { name: 'tls', builder: TlsBuilder }
+], null, { invoke: 'none' });
+
+describe('fromCommandLine', function() {
+  it('sets params from kebab-case flags', function() {
+    const server = fromCommandLine(ServerBuilder, { argv: ['--host', 'example.com', '--port=8080', '--started-at', '2020-01-02'] }).build();
+    expect(server.host).to.equal('example.com');
+    expect(server.port).to.equal(8080);
+    expect(server.startedAt.getTime()).to.equal(new Date('2020-01-02').getTime());
+  });
+  it('accepts alias flags', function() {
+    expect(fromCommandLine(ServerBuilder, { argv: ['--hostname', 'example.com'] }).build().host).to.equal('example.com');
+  });
+  it('sets booleans from bare and --no- flags', function() {
+    expect(fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--verbose'] }).build().verbose).to.equal(true);
+    expect(fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--no-verbose'] }).build().verbose).to.equal(false);
+    expect(fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--verbose=off'] }).build().verbose).to.equal(false);
+  });
+  it('adds list items from repeated flags', function() {
+    const server = fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--tag', 'x', '--tags=y'] }).build();
+    expect(server.tags).to.deep.equal(['x', 'y']);
+  });
+  it('adds map items from key=value flags', function() {
+    const server = fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--limit', 'cpu=2', '--limit=memory=512'] }).build();
+    expect(server.limits).to.deep.equal({ cpu: 2, memory: 512 });
+  });
+  it('sets the params of nested builders from dotted flags', function() {
+    const server = fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--tls.cert', 'cert.pem', '--tls.no-verify-peer'] }).build();
+    expect(server.tls).to.deep.equal({ cert: 'cert.pem', verifyPeer: false });
+  });
+  it('lets the last of a repeated flag win', function() {
+    expect(fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--host', 'b'] }).build().host).to.equal('b');
+  });
+
+  it('reads env vars only when given a prefix', function() {
+    const env = { APP_HOST: 'env.example.com', APP_PORT: '9000', APP_TAGS: 'x, y', APP_LIMITS: 'cpu=2,memory=512', APP_TLS_CERT: 'env.pem' };
+    const server = fromCommandLine(ServerBuilder, { argv: [], env, envPrefix: 'APP_' }).build();
+    expect(server).to.deep.equal({
+      host: 'env.example.com', port: 9000, tags: ['x', 'y'], limits: { cpu: 2, memory: 512 }, tls: { cert: 'env.pem', verifyPeer: true }
+    });
+    expect(() => fromCommandLine(ServerBuilder, { argv: [], env }).build()).to.throw(MissingArgumentError);
+  });
+  it('lets flags override env vars', function() {
+    const env = { HOST: 'env.example.com', TAGS: 'x,y' };
+    const server = fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--tag', 'z'], env, envPrefix: '' }).build();
+    expect(server.host).to.equal('a');
+    expect(server.tags).to.deep.equal(['z']);
+  });
+
+  it('reports values that do not convert to the declared type', function() {
+    try {
+      fromCommandLine(ServerBuilder, { argv: ['--port', 'eighty'] });
+      throw new Error('expected an InvalidArgumentError');
+    } catch (err) {
+      expect(err).to.be.an.instanceof(InvalidArgumentError);
+      expect(err.paramName).to.equal('port');
+    }
+    try {
+      fromCommandLine(ServerBuilder, { argv: [], env: { APP_LIMITS: 'cpu=lots' }, envPrefix: 'APP_' });
+      throw new Error('expected an InvalidArgumentError');
+    } catch (err) {
+      expect(err).to.be.an.instanceof(InvalidArgumentError);
+      expect(err.paramName).to.equal('limits.cpu');
+    }
+    expect(() => fromCommandLine(ServerBuilder, { argv: ['--limit', 'cpu'] })).to.throw(InvalidArgumentError);
+  });
+  it('reports flags missing their values', function() {
+    expect(() => fromCommandLine(ServerBuilder, { argv: ['--host'] })).to.throw(InvalidArgumentError, /--host requires a value/);
+  });
+  it('leaves missing required params for build() to report', function() {
+    const builder = fromCommandLine(ServerBuilder, { argv: ['--tls.cert', 'cert.pem'] });
+    expect(() => builder.build()).to.throw(MissingArgumentError);
+    expect(builder.missing()).to.deep.equal(['host']);
+  });
+
+  it('handles unknown flags and positional arguments per unknownKeys', function() {
+    expect(() => fromCommandLine(ServerBuilder, { argv: ['--bogus'] })).to.throw(UnknownParameterError);
+    expect(() => fromCommandLine(ServerBuilder, { argv: ['serve'] })).to.throw(TypeError, /Unexpected argument/);
+    const ignored = fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--bogus', 'serve'], unknownKeys: 'ignore' });
+    expect(ignored.build().host).to.equal('a');
+    const collected = fromCommandLine(ServerBuilder, {
+      argv: ['--host', 'a', '--bogus=1', 'serve', '--', '--port', '1'], unknownKeys: 'collect'
+    });
+    expect(collected.extras).to.deep.equal({ bogus: '1', _: ['serve', '--port', '1'] });
+    expect(collected.build().port).to.equal(80);
+  });
+  it('treats flags named after Object.prototype properties as unknown', function() {
+    for (const flag of ['--constructor', '--toString=1', '--__proto__=x', '--has-own-property']) {
+      expect(() => fromCommandLine(ServerBuilder, { argv: [flag] })).to.throw(UnknownParameterError);
+    }
+    const collected = fromCommandLine(ServerBuilder, { argv: ['--host', 'a', '--__proto__=x', '--constructor'], unknownKeys: 'collect' });
+    expect(collected.extras.__proto__).to.equal('x');
+    expect(collected.extras.constructor).to.equal(true);
+    expect(collected.build().host).to.equal('a');
+    expect(() => fromCommandLine(ServerBuilder, { argv: ['--verbose=constructor'] })).to.throw(InvalidArgumentError);
+  });
+  it('sets params named after Object.prototype properties only from their own flags', function() {
+    const Bldr = new Builder([
+      { name: 'valueOf', isList: true, itemType: 'number' },
+      { name: 'toString', isMap: true, itemType: 'string' },
+      { name: 'constructor', isSet: true, itemType: 'string' },
+      { name: 'x', type: 'number' }
+    ], null, { invoke: 'none' });
+    expect(fromCommandLine(Bldr, { argv: ['--x', '1'] }).build()).to.deep.equal({ x: 1 });
+    const built = fromCommandLine(Bldr, { argv: ['--value-of', '2', '--to-string', 'a=b', '--constructor', 'c'] }).build();
+    expect(built.valueOf).to.deep.equal([2]);
+    expect(built.toString).to.deep.equal({ a: 'b' });
+    expect(Array.from(built.constructor)).to.deep.equal(['c']);
+  });
+  it('requires a builder class', function() {
+    expect(() => fromCommandLine({}, { argv: [] })).to.throw(TypeError);
+  });
+}); // end describe fromCommandLine
+
+describe('usage', function() {
+  it('lists each flag with its type, description and notes', function() {
+    expect(usage(ServerBuilder, { command: 'server', envPrefix: 'APP_' })).to.equal([
+      'Usage: server [options]',
+      '',
+      'Options:',
+      '  --host, --hostname <string>              Host name to listen on (required; env APP_HOST)',
+      '  --port <number>                          (default: 80; env APP_PORT)',
+      '  --verbose, --no-verbose                  (env APP_VERBOSE)',
+      '  --started-at <date>                      (env APP_STARTED_AT)',
+      '  --tag, --tags <string>                   (repeatable; env APP_TAGS)',
+      '  --limit, --limits <key=number>           (repeatable; env APP_LIMITS)',
+      '  --tls.cert <string>                      (required; env APP_TLS_CERT)',
+      '  --tls.verify-peer, --tls.no-verify-peer  (default: true; env APP_TLS_VERIFY_PEER)',
+      ''
+    ].join('\n'));
+  });
+  it('omits env vars without a prefix', function() {
+    const text = usage(new Builder([{ name: 'name', isRequired: true }], null, { invoke: 'none' }));
+    expect(text).to.equal('Usage: command [options]\n\nOptions:\n  --name <value>  (required)\n');
+  });
+}); // end describe usage
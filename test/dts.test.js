@@ -0,0 +1,124 @@
+const expect = require('chai').expect;
+const childProcess = require('child_process');
+const path = require('path');
+const generateDeclarations = require('../dts');
+
+const fixture = path.join(__dirname, 'fixtures', 'dts-module.js');
+const moduleExports = require(fixture);
+
+describe('generateDeclarations', function() {
+  const declarations = generateDeclarations(moduleExports, { source: 'config.js' });
+
+  it('requires a module exports object', function() {
+    expect(function() { generateDeclarations(null); }).to.throw(TypeError);
+    expect(function() { generateDeclarations(moduleExports.ServerBuilder); }).to.throw(TypeError);
+  });
+
+  it('declares each builder class and an interface for its args', function() {
+    expect(declarations).to.contain('// Generated by builder-dts from config.js');
+    expect(declarations).to.contain('export declare class ServerBuilder<Assigned extends string = never> {');
+    expect(declarations).to.contain('export interface ServerBuilderArgs {');
+    expect(declarations).to.contain('  host: string;');
+    expect(declarations).to.contain('  tags?: Array<string>;');
+    expect(declarations).to.contain('export declare class TlsConfigBuilder<Assigned extends string = never> {');
+  });
+
+  it('declares other exports as any', function() {
+    expect(declarations).to.contain('export declare const Server: any;');
+  });
+
+  it('declares setters that record the param as set', function() {
+    expect(declarations).to.contain('  setHost(host: string): ServerBuilder<Assigned | "host">;');
+    expect(declarations).to.contain('  setServer(server: any): ServerBuilder<Assigned | "server">;');
+  });
+
+  it('declares list and map adders', function() {
+    expect(declarations).to.contain('  addTag(item: string): ServerBuilder<Assigned | "tags">;');
+    expect(declarations).to.contain('  addLabel(key: string, item: "on" | "off"): ServerBuilder<Assigned | "labels">;');
+  });
+
+  it('declares set and ES Map params and collection mutators', function() {
+    expect(declarations).to.contain('  roles?: Set<string> | Array<string>;');
+    expect(declarations).to.contain('  addHandler(key: any, item: (...args: any[]) => any): ServerBuilder<Assigned | "handlers">;');
+    expect(declarations).to.contain('  removeTag(item: string): this;');
+    expect(declarations).to.contain('  hasLabel(key: string): boolean;');
+    expect(declarations).to.contain('  clearRoles(): ServerBuilder<Assigned | "roles">;');
+    expect(declarations).to.contain('  addAllTags(items: Array<string>): ServerBuilder<Assigned | "tags">;');
+  });
+
+  it('declares alias setters, marking deprecated methods', function() {
+    expect(declarations).to.contain('  /** @deprecated use setHost() */\n  setHostname(host: string): ServerBuilder<Assigned | "host">;');
+    expect(declarations).to.contain('  /** @deprecated */\n  setLegacy(legacy: boolean): ServerBuilder<Assigned | "legacy">;');
+  });
+
+  it('declares introspection methods', function() {
+    expect(declarations).to.contain('  isSet(name: keyof ServerBuilderArgs): boolean;');
+    expect(declarations).to.contain('  reset(): ServerBuilder<never>;');
+    expect(declarations).to.contain('  static clearCache(): void;');
+  });
+
+  it('declares nested builders', function() {
+    expect(declarations).to.contain('  setTls(tls: TlsConfigBuilderBuilt | TlsConfigBuilder<string> | null): ServerBuilder<Assigned | "tls">;');
+    expect(declarations).to.contain('  editTls(configure: (builder: TlsConfigBuilder<never>) => unknown): ServerBuilder<Assigned | "tls">;');
+    expect(declarations).to.contain('  editTls(): TlsConfigBuilder<never>;');
+  });
+
+  it('declares records as read-only value objects', function() {
+    const record = 'Readonly<PointBuilderBuilt> & { equals(other: unknown): boolean; hashCode(): number; toBuilder(): PointBuilder<string> }';
+    expect(declarations).to.contain(`  build: [Exclude<"x" | "y", Assigned>] extends [never] ? () => ${record} : never;`);
+    expect(declarations).to.contain(`  setOrigin(origin: ${record} | PointBuilder<string>): ServerBuilder<Assigned | "origin">;`);
+  });
+
+  it('declares params and exports named by reserved words', function() {
+    expect(declarations).to.contain('  setDefault(value: string): ServerBuilder<Assigned | "default">;');
+    expect(declarations).to.contain('declare class _default<Assigned extends string = never> {');
+    expect(declarations).to.contain('  setNew(value: boolean): _default<Assigned | "new">;');
+    expect(declarations).to.contain('export { _default as default };');
+    expect(declarations).to.not.contain('class default');
+  });
+
+  it('declares the stages of staged builders', function() {
+    expect(declarations).to.contain('declare class _ConnectionBuilder<Assigned extends string = never> {');
+    expect(declarations).to.contain('export interface ConnectionBuilderStage1 {\n  setUser(user: string): ConnectionBuilderStage2;\n  outstanding(): string[];\n}');
+    expect(declarations).to.contain('  /** @deprecated */\n  setPass(password: string): ConnectionBuilder<"user" | "password">;');
+    expect(declarations).to.contain('export type ConnectionBuilder<Assigned extends string = never> = _ConnectionBuilder<Assigned>;');
+    expect(declarations).to.contain('export declare const ConnectionBuilder: Pick<typeof _ConnectionBuilder, keyof typeof _ConnectionBuilder> & { new(): ConnectionBuilderStage1 };');
+  });
+
+  it('makes build() callable only once the required params without defaults are set', function() {
+    expect(declarations).to.contain('  build: [Exclude<"host", Assigned>] extends [never] ? () => import(\'./server\').Server : never;');
+    expect(declarations).to.contain('  build: [Exclude<"cert", Assigned>] extends [never] ? () => TlsConfigBuilderBuilt : never;');
+    expect(declarations).to.contain('  buildAsync: [Exclude<"cert", Assigned>] extends [never] ? () => Promise<TlsConfigBuilderBuilt> : never;');
+  });
+
+  it('declares the objects that builder classes with invoke none build, with nested builders built', function() {
+    const point = 'Readonly<PointBuilderBuilt> & { equals(other: unknown): boolean; hashCode(): number; toBuilder(): PointBuilder<string> }';
+    expect(declarations).to.contain([
+      'export interface ListenerBuilderBuilt {',
+      '  port: number;',
+      '  tls?: TlsConfigBuilderBuilt;',
+      `  origins?: Array<${point}>;`,
+      '  backups?: Map<any, TlsConfigBuilderBuilt>;',
+      '}'
+    ].join('\n'));
+    expect(declarations).to.contain('  build: [Exclude<"port", Assigned>] extends [never] ? () => ListenerBuilderBuilt : never;');
+    expect(declarations).to.contain('export interface TlsConfigBuilderBuilt {\n  cert: string;\n}');
+    expect(declarations).to.not.contain('ServerBuilderBuilt');
+  });
+});
+
+describe('builder-dts', function() {
+  const script = path.join(__dirname, '..', 'bin', 'builder-dts.js');
+
+  it('prints the declarations for a module', function() {
+    const result = childProcess.spawnSync(process.execPath, [script, fixture], { encoding: 'utf8' });
+    expect(result.status).to.equal(0);
+    expect(result.stdout).to.contain('// Generated by builder-dts from dts-module.js');
+  });
+
+  it('prints usage when no module is given', function() {
+    const result = childProcess.spawnSync(process.execPath, [script], { encoding: 'utf8' });
+    expect(result.status).to.equal(1);
+    expect(result.stderr).to.contain('Usage: builder-dts');
+  });
+});
@@ -0,0 +1,46 @@
+// A module exporting builder classes, for the TypeScript declaration generator tests
+const Builder = require('../../builder');
+
+class Server {}
+const TlsConfigBuilder = new Builder([
+  { name: 'cert', isRequired: true, type: 'string' }
+], null, { invoke: 'none' });
+const PointBuilder = new Builder([
+  { name: 'x', isRequired: true, type: 'number' },
+  { name: 'y', isRequired: true, type: 'number' }
+], null, { invoke: 'none', record: true });
+const ServerBuilder = new Builder([
+  { name: 'host', isRequired: true, type: 'string', aliases: [{ name: 'hostname', deprecated: 'use setHost()' }] },
+  { name: 'port', isRequired: true, type: 'number', default: 80 },
+  { name: 'tls', builder: TlsConfigBuilder, isNullable: true },
+  { name: 'tags', isList: true, itemName: 'tag', itemType: 'string' },
+  { name: 'labels', isMap: true, itemName: 'label', itemTsType: '"on" | "off"' },
+  { name: 'roles', isSet: true, itemName: 'role', itemType: 'string' },
+  { name: 'handlers', isMap: true, mapType: 'Map', itemName: 'handler', itemType: 'function' },
+  { name: 'server', type: Server },
+  { name: 'legacy', type: 'boolean', deprecated: true },
+  { name: 'origin', builder: PointBuilder },
+  { name: 'default', type: 'string' }
+], Server, { tsType: "import('./server').Server" });
+
+// new ConnectionBuilder() returns a stage for setUser(), then one for setPassword()
+const ConnectionBuilder = new Builder([
+  { name: 'user', isRequired: true, type: 'string' },
+  { name: 'password', isRequired: true, type: 'string', aliases: [{ name: 'pass', deprecated: true }] },
+  { name: 'port', isRequired: true, type: 'number', default: 5432 }
+], null, { invoke: 'none', staged: true });
+// Builds plain objects holding the built nested objects
+const ListenerBuilder = new Builder([
+  { name: 'port', isRequired: true, type: 'number' },
+  { name: 'tls', builder: TlsConfigBuilder },
+  { name: 'origins', isList: true, itemName: 'origin', builder: PointBuilder },
+  { name: 'backups', isMap: true, mapType: 'Map', itemName: 'backup', builder: TlsConfigBuilder }
+], null, { invoke: 'none' });
+// Exported as the default export by ES module interop
+const OptionsBuilder = new Builder([
+  { name: 'new', type: 'boolean' }
+], null, { invoke: 'none' });
+
+module.exports = {
+  TlsConfigBuilder, PointBuilder, ServerBuilder, ConnectionBuilder, ListenerBuilder, Server, default: OptionsBuilder
+};
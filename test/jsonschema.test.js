@@ -0,0 +1,212 @@
+const expect = require('chai').expect;
+const Builder = require('../builder');
+const jsonschema = require('../jsonschema');
+const fromJSONSchema = jsonschema.fromJSONSchema;
+const builderFromJSONSchema = jsonschema.builderFromJSONSchema;
+const toJSONSchema = jsonschema.toJSONSchema;
+const ParamSpecTypeError = Builder.ParamSpecTypeError;
+const InvalidArgumentError = Builder.InvalidArgumentError;
+const MissingArgumentError = Builder.MissingArgumentError;
+const NullArgumentError = Builder.NullArgumentError;
+
+const serverSchema = {
+  type: 'object',
+  required: ['host', 'tls'],
+  additionalProperties: false,
+  properties: {
+    host: { type: 'string', minLength: 1, description: 'Host name to listen on' },
+    port: { type: 'integer', minimum: 1, maximum: 65535, default: 80 },
+    mode: { enum: ['dev', 'prod'] },
+    tls: {
+      type: ['object', 'null'],
+      required: ['cert'],
+      properties: {
+        cert: { type: 'string' }
+      }
+    },
+    tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' } },
+    labels: { type: 'object', additionalProperties: { type: 'string' } },
+    timeout: { type: 'number', nullable: true }
+  }
+};
+
+describe('fromJSONSchema', function() {
+  const spec = fromJSONSchema(serverSchema);
+  const ServerBuilder = new Builder(spec, null, { invoke: 'none' });
+  // A function converting a schema with the given properties, for expecting it to throw
+  function convert(properties) {
+    return function() {
+      return fromJSONSchema({ type: 'object', properties });
+    };
+  }
+
+  it('creates a param for each property', function() {
+    expect(spec.map(param => param.name)).to.deep.equal(['host', 'port', 'mode', 'tls', 'tags', 'labels', 'timeout']);
+    expect(spec[0].type).to.equal('string');
+    expect(spec[0].description).to.equal('Host name to listen on');
+  });
+
+  it('marks required and nullable params', function() {
+    expect(spec[0].isRequired).to.be.true;
+    expect(spec[1].isRequired).to.be.false;
+    expect(spec[3].isNullable).to.be.true;
+    expect(spec[6].isNullable).to.be.true;
+    expect(function() { (new ServerBuilder()).setTls(null).build(); }).to.throw(MissingArgumentError, 'host');
+    expect((new ServerBuilder()).setHost('localhost').setTls(null).build()).to.deep.equal({ host: 'localhost', port: 80, tls: null });
+  });
+
+  it('converts arrays to list params and additionalProperties to map params', function() {
+    expect(spec[4].isList).to.be.true;
+    expect(spec[4].itemType).to.equal('string');
+    expect(spec[5].isMap).to.be.true;
+    expect(spec[5].itemType).to.equal('string');
+    expect(function() { (new ServerBuilder()).addTags('UPPER'); }).to.throw(InvalidArgumentError, 'pattern');
+    expect(function() { (new ServerBuilder()).addLabels('key', 1); }).to.throw(InvalidArgumentError, 'expected string');
+  });
+
+  it('converts arrays of unique items to set params', function() {
+    const spec = fromJSONSchema({ type: 'object', properties: { roles: { type: 'array', uniqueItems: true } } });
+    expect(spec[0].isSet).to.be.true;
+    expect(spec[0].isList).to.be.undefined;
+  });
+
+  it('converts object properties to nested builders', function() {
+    const server = (new ServerBuilder()).setHost('localhost').editTls(b => b.setCert('cert')).build();
+    expect(server.tls).to.deep.equal({ cert: 'cert' });
+    expect(function() {
+      (new ServerBuilder()).setHost('localhost').editTls(b => b).build();
+    }).to.throw(MissingArgumentError, 'tls.cert');
+    expect(function() { (new ServerBuilder()).setHost('localhost').build(); }).to.throw(MissingArgumentError, 'tls');
+  });
+
+  it('enforces integers, ranges, lengths and enums', function() {
+    const builder = new ServerBuilder();
+    expect(function() { builder.setPort(1.5); }).to.throw(InvalidArgumentError, 'integer');
+    expect(function() { builder.setPort(0); }).to.throw(InvalidArgumentError, 'minimum 1');
+    expect(function() { builder.setHost(''); }).to.throw(InvalidArgumentError, 'minLength 1');
+    expect(function() { builder.setMode('test'); }).to.throw(InvalidArgumentError, 'enum');
+    expect(function() { builder.setPort(8080).setHost('h').setMode('dev'); }).to.not.throw();
+  });
+
+  it('supports unions of primitive types', function() {
+    const Bldr = new Builder(fromJSONSchema({
+      type: 'object',
+      properties: { id: { type: ['string', 'integer'] } }
+    }), null, { invoke: 'none' });
+    expect((new Bldr()).setId('a').build()).to.deep.equal({ id: 'a' });
+    expect((new Bldr()).setId(1).build()).to.deep.equal({ id: 1 });
+    expect(function() { (new Bldr()).setId(1.5); }).to.throw(InvalidArgumentError);
+    expect(function() { (new Bldr()).setId(true); }).to.throw(InvalidArgumentError);
+  });
+
+  it('loads serialized state that matches the schema', function() {
+    const data = { host: 'localhost', tls: { cert: 'cert' }, tags: ['a'] };
+    expect(ServerBuilder.from(data).build()).to.deep.equal({ host: 'localhost', port: 80, tls: { cert: 'cert' }, tags: ['a'] });
+  });
+
+  it('rejects unsupported schema constructs', function() {
+    expect(function() { fromJSONSchema({ type: 'string' }); }).to.throw(ParamSpecTypeError, 'object with properties');
+    expect(function() { fromJSONSchema({ type: 'object', properties: {}, additionalProperties: {} }); }).to.throw(ParamSpecTypeError, 'additionalProperties');
+    expect(function() { fromJSONSchema({ type: 'object', properties: {}, required: ['a'] }); }).to.throw(ParamSpecTypeError, 'required');
+    expect(convert({ a: { $ref: '#/definitions/a' } })).to.throw(ParamSpecTypeError, 'keyword $ref');
+    expect(convert({ a: { anyOf: [] } })).to.throw(ParamSpecTypeError, 'keyword anyOf');
+    expect(convert({ a: { type: 'date' } })).to.throw(ParamSpecTypeError, 'type "date"');
+    expect(convert({ a: { type: 'array', items: [{ type: 'string' }] } })).to.throw(ParamSpecTypeError, 'tuples');
+    expect(convert({ a: { type: ['array', 'string'], items: {} } })).to.throw(ParamSpecTypeError, 'unions');
+    expect(convert({ a: { type: 'object', properties: { b: { format: 'email' } } } })).to.throw(ParamSpecTypeError, 'a.b');
+    // required is an array at the object level, never a flag on a property
+    expect(convert({ a: { type: 'string', required: true } })).to.throw(ParamSpecTypeError, 'a: required applies only');
+    expect(function() { fromJSONSchema({ type: 'object', properties: {}, required: true }); }).to.throw(ParamSpecTypeError, 'array of property names');
+    expect(function() { fromJSONSchema({ type: 'object', properties: { a: {} }, required: [1] }); }).to.throw(ParamSpecTypeError, 'array of property names');
+    expect(convert({ a: { type: 'string', properties: { b: {} } } })).to.throw(ParamSpecTypeError, 'properties applies only');
+    expect(convert({ a: { type: 'array', items: { type: 'string', required: ['b'] } } })).to.throw(ParamSpecTypeError, 'a.items');
+  });
+
+  it('rejects collections as list, set and map items', function() {
+    expect(convert({ a: { type: 'array', items: { type: 'array', items: { type: 'string' } } } }))
+      .to.throw(ParamSpecTypeError, 'a.items: items is not supported in item schemas');
+    expect(convert({ a: { type: 'array', items: { type: 'array', uniqueItems: true } } }))
+      .to.throw(ParamSpecTypeError, 'a.items: uniqueItems');
+    expect(convert({ a: { type: 'array', items: { type: 'object', additionalProperties: { type: 'number' } } } }))
+      .to.throw(ParamSpecTypeError, 'a.items: additionalProperties');
+    expect(convert({ a: { type: 'object', additionalProperties: { type: 'array', items: {} } } }))
+      .to.throw(ParamSpecTypeError, 'a.additionalProperties: items');
+    // Object items with properties become nested builders, which take additionalProperties as unknownKeys
+    const spec = convert({ a: { type: 'array', items: { type: 'object', properties: { b: {} }, additionalProperties: false } } })();
+    expect(function() { spec[0].builder.from({ c: 1 }); }).to.throw(Builder.UnknownParameterError);
+  });
+});
+
+describe('builderFromJSONSchema', function() {
+  it('creates a builder class whose unknownKeys follows the top-level additionalProperties', function() {
+    const Strict = builderFromJSONSchema(serverSchema, null, { invoke: 'none' });
+    expect(Strict.options.unknownKeys).to.equal('throw');
+    expect(Strict.from({ host: 'a', tls: null }).build()).to.deep.equal({ host: 'a', port: 80, tls: null });
+    const Loose = builderFromJSONSchema(Object.assign({}, serverSchema, { additionalProperties: true }), null, { invoke: 'none' });
+    expect(Loose.options.unknownKeys).to.equal('ignore');
+    expect(toJSONSchema(Loose).additionalProperties).to.be.true;
+    const Collecting = builderFromJSONSchema(serverSchema, null, { invoke: 'none', unknownKeys: 'collect' });
+    expect(Collecting.options.unknownKeys).to.equal('collect');
+  });
+});
+
+describe('toJSONSchema', function() {
+  it('round-trips a schema converted by fromJSONSchema', function() {
+    const ServerBuilder = new Builder(fromJSONSchema(serverSchema), null, { invoke: 'none' });
+    const exported = toJSONSchema(ServerBuilder);
+    expect(exported.$schema).to.equal('http://json-schema.org/draft-07/schema#');
+    expect(exported.properties).to.deep.equal(serverSchema.properties);
+    expect(exported.required).to.deep.equal(['host', 'tls']);
+    expect(exported.additionalProperties).to.be.false;
+  });
+
+  it('describes a builder written by hand', function() {
+    const TlsBuilder = new Builder([{ name: 'cert', isRequired: true, type: 'string' }], null, { invoke: 'none' });
+    const Bldr = new Builder([
+      { name: 'host', isRequired: true, type: 'string', description: 'Host name' },
+      { name: 'port', isRequired: true, type: 'number', default: 80 },
+      { name: 'timeout', type: 'number', isNullable: true },
+      { name: 'tls', builder: TlsBuilder },
+      { name: 'tags', isList: true, itemType: 'string', key: 'tag_list' },
+      { name: 'labels', isMap: true },
+      { name: 'created', type: Date }
+    ], null, { invoke: 'none', unknownKeys: 'ignore' });
+    expect(toJSONSchema(Bldr)).to.deep.equal({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        host: { type: 'string', description: 'Host name' },
+        port: { type: 'number', default: 80 },
+        timeout: { type: ['number', 'null'] },
+        tls: {
+          type: 'object',
+          properties: { cert: { type: 'string' } },
+          required: ['cert'],
+          additionalProperties: false
+        },
+        tag_list: { type: 'array', items: { type: 'string' } },
+        labels: { type: 'object', additionalProperties: {} },
+        created: {}
+      },
+      required: ['host'],
+      additionalProperties: true
+    });
+  });
+
+  it('describes set and ES Map params as arrays, as toJSON() serializes them', function() {
+    const properties = toJSONSchema([
+      { name: 'roles', isSet: true, itemType: 'string' },
+      { name: 'handlers', isMap: true, mapType: 'Map', itemType: 'number' }
+    ]).properties;
+    expect(properties.roles).to.deep.equal({ type: 'array', items: { type: 'string' }, uniqueItems: true });
+    expect(properties.handlers).to.deep.equal({
+      type: 'array',
+      items: { type: 'array', items: [{}, { type: 'number' }], minItems: 2, maxItems: 2 }
+    });
+  });
+
+  it('accepts a param spec array', function() {
+    expect(toJSONSchema([{ name: 'param', type: 'boolean' }]).properties).to.deep.equal({ param: { type: 'boolean' } });
+    expect(function() { toJSONSchema({}); }).to.throw(TypeError);
+  });
+});